@@ -1,3 +1,5 @@
+importScripts('settings.js', 'storage.js', 'screenshots.js', 'network.js', 'script-exporters.js', 'devtools-recorder.js', 'step-compaction.js');
+
 class RecordingSession {
   constructor(tabId, url) {
     this.id = crypto.randomUUID();
@@ -8,30 +10,57 @@ class RecordingSession {
     this.videoDownloadId = null;
     this.videoFilename = null;
     this.screenRecordingTabId = null;
+    this.isPaused = false;
+    // Every tab the session follows; an action's tab index points in here
+    this.tabs = [tabId];
+    this.currentTab = 0;
+    // Actions are written to IndexedDB one after another; stopping waits for this
+    this.writeQueue = Promise.resolve();
     this.metadata = {
       title: '',
       viewport: null,
       userAgent: navigator.userAgent,
+      // 'viewport', 'fullPage' or 'element', as in the screenshot settings
+      screenshotMode: 'viewport',
       tags: []
     };
   }
 
   addAction(action) {
-    this.actions.push({
+    const recorded = {
       id: crypto.randomUUID(),
       timestamp: Date.now(),
       ...action
-    });
+    };
+    this.actions.push(recorded);
+    return recorded;
+  }
+
+  // Everything but the actions, which are persisted separately
+  toState() {
+    const { actions, writeQueue, ...state } = this;
+    return state;
+  }
+
+  static fromState(state, actions) {
+    const session = new RecordingSession(state.tabId, state.url);
+    Object.assign(session, state);
+    session.actions = actions;
+    return session;
   }
 
   export() {
+    const actions = [...this.actions].sort((a, b) => a.timestamp - b.timestamp);
     return {
       id: this.id,
       url: this.url,
       startTime: this.startTime,
       endTime: Date.now(),
       duration: Date.now() - this.startTime,
-      actions: this.actions,
+      // Navigations are recorded as they commit, while page actions arrive
+      // once their screenshot is taken
+      actions,
+      steps: compactSteps(actions),
       videoDownloadId: this.videoDownloadId,
       videoFilename: this.videoFilename,
       metadata: this.metadata
@@ -40,13 +69,89 @@ class RecordingSession {
 
 }
 
+const PAGE_HOOKS_SCRIPT_ID = 'demo-recorder-page-hooks';
+
+// Context menu entries that add an assert step while recording
+const ASSERTION_MENU_ID = 'assert';
+const ASSERTION_MENU_ITEMS = {
+  visible: 'Element is visible',
+  text: 'Element has this text',
+  value: 'Field has this value',
+  url: 'Page URL matches'
+};
+
 class RecordingManager {
   constructor() {
     this.sessions = new Map();
     this.activeTab = null;
+    // The service worker can be suspended mid-recording, so sessions are
+    // restored before any message that touches them is handled
+    this.ready = this.restoreSessions();
+  }
+
+  async restoreSessions() {
+    try {
+      // Content scripts read whether anything is recording before they wake
+      // the service worker with 'frameReady'
+      await chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS' });
+      const { activeSessions = {}, activeTab = null } = await chrome.storage.session.get(['activeSessions', 'activeTab']);
+
+      for (const state of Object.values(activeSessions)) {
+        const actions = await recordingStore.getSessionActions(state.id);
+        this.sessions.set(state.tabId, RecordingSession.fromState(state, actions));
+        console.log('Restored recording session:', state.id, 'with', actions.length, 'actions');
+      }
+      this.activeTab = activeTab;
+    } catch (error) {
+      console.error('Failed to restore recording sessions:', error);
+    }
+    this.syncAssertionMenu();
+    this.syncNetworkMonitor();
+  }
+
+  persistSessions() {
+    const activeSessions = {};
+    for (const [tabId, session] of this.sessions) {
+      activeSessions[tabId] = session.toState();
+    }
+
+    return chrome.storage.session.set({ activeSessions, activeTab: this.activeTab, recording: this.sessions.size > 0 })
+      .catch(error => console.error('Failed to persist recording sessions:', error));
+  }
+
+  // page-hooks.js reports console output from the page's own JavaScript world.
+  // It is registered for new documents only while something is recording.
+  async syncPageHooks() {
+    try {
+      const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [PAGE_HOOKS_SCRIPT_ID] });
+      if (this.sessions.size > 0 && registered.length === 0) {
+        await chrome.scripting.registerContentScripts([{
+          id: PAGE_HOOKS_SCRIPT_ID,
+          js: ['page-hooks.js'],
+          matches: ['<all_urls>'],
+          allFrames: true,
+          runAt: 'document_start',
+          world: 'MAIN',
+          persistAcrossSessions: false
+        }]);
+      } else if (this.sessions.size === 0 && registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [PAGE_HOOKS_SCRIPT_ID] });
+      }
+    } catch (error) {
+      console.error('Failed to update page hooks:', error);
+    }
   }
 
-  startRecording(tabId) {
+  syncAssertionMenu() {
+    chrome.contextMenus.update(ASSERTION_MENU_ID, { visible: this.sessions.size > 0 })
+      .catch(error => console.log('Assertion menu not available:', error));
+  }
+
+  syncNetworkMonitor() {
+    networkMonitor.sync(this.sessions.size > 0);
+  }
+
+  startRecording(tabId, options = {}) {
     return new Promise((resolve, reject) => {
       chrome.tabs.get(tabId, async (tab) => {
         if (chrome.runtime.lastError) {
@@ -54,40 +159,59 @@ class RecordingManager {
           return;
         }
 
+        await this.ready;
+
         // First, inject the content script if needed
         try {
           await chrome.scripting.executeScript({
-            target: { tabId: tabId },
+            target: { tabId: tabId, allFrames: true },
             files: ['content.js']
           });
           
           // Also inject the CSS
           await chrome.scripting.insertCSS({
-            target: { tabId: tabId },
+            target: { tabId: tabId, allFrames: true },
             files: ['overlay.css']
           });
+
+          // Documents that are already loaded miss the registered page hooks
+          await chrome.scripting.executeScript({
+            target: { tabId: tabId, allFrames: true },
+            files: ['page-hooks.js'],
+            world: 'MAIN'
+          });
         } catch (err) {
           // Script might already be injected, continue
           console.log('Content script may already be injected:', err);
         }
 
+        const settings = await loadSettings();
         const session = new RecordingSession(tabId, tab.url);
         session.metadata.title = tab.title;
+        session.metadata.screenshotMode = options.screenshotMode || settings.screenshots.mode;
         this.sessions.set(tabId, session);
         this.activeTab = tabId;
+        this.syncPageHooks();
+        this.syncAssertionMenu();
+        this.syncNetworkMonitor();
 
         // Small delay to ensure content script is ready
         setTimeout(() => {
           chrome.tabs.sendMessage(tabId, {
             action: 'startRecording',
-            sessionId: session.id
+            sessionId: session.id,
+            settings
           }, () => {
             if (chrome.runtime.lastError) {
               this.sessions.delete(tabId);
+              this.syncPageHooks();
+              this.syncAssertionMenu();
+              this.syncNetworkMonitor();
               reject(chrome.runtime.lastError);
             } else {
               chrome.action.setBadgeText({ text: 'REC', tabId });
               chrome.action.setBadgeBackgroundColor({ color: '#FF0000', tabId });
+              this.persistSessions();
               resolve(session);
             }
           });
@@ -98,67 +222,210 @@ class RecordingManager {
 
 
   async stopRecording(tabId) {
-    const session = this.sessions.get(tabId);
+    await this.ready;
+    const session = this.getSession(tabId);
     if (!session) return null;
 
     console.log('Stopping recording for tab:', tabId, 'Session:', session.id);
     
-    // Stop action recording
-    chrome.tabs.sendMessage(tabId, { action: 'stopRecording' });
-    chrome.action.setBadgeText({ text: '', tabId });
-    
+    // Stop action recording in every tab the session followed
+    for (const sessionTabId of session.tabs.filter(id => id !== null)) {
+      chrome.tabs.sendMessage(sessionTabId, { action: 'stopRecording' }).catch(() => {});
+      chrome.action.setBadgeText({ text: '', tabId: sessionTabId }).catch(() => {});
+    }
     
+    // Let actions still being written reach IndexedDB before exporting
+    await session.writeQueue;
     const exportData = session.export();
     
-    this.sessions.delete(tabId);
-    if (this.activeTab === tabId) {
+    this.sessions.delete(session.tabId);
+    if (this.activeTab === session.tabId) {
       this.activeTab = null;
     }
+    await this.persistSessions();
+    await this.syncPageHooks();
+    this.syncAssertionMenu();
+    this.syncNetworkMonitor();
 
     return exportData;
   }
 
   pauseRecording(tabId) {
-    const session = this.sessions.get(tabId);
+    const session = this.getSession(tabId);
     if (!session) return false;
 
     session.isPaused = true;
-    chrome.tabs.sendMessage(tabId, { action: 'pauseRecording' });
-    chrome.action.setBadgeBackgroundColor({ color: '#FFA500', tabId });
+    this.persistSessions();
+    for (const sessionTabId of session.tabs.filter(id => id !== null)) {
+      chrome.tabs.sendMessage(sessionTabId, { action: 'pauseRecording' }).catch(() => {});
+      chrome.action.setBadgeBackgroundColor({ color: '#FFA500', tabId: sessionTabId }).catch(() => {});
+    }
     return true;
   }
 
   resumeRecording(tabId) {
-    const session = this.sessions.get(tabId);
+    const session = this.getSession(tabId);
     if (!session) return false;
 
     session.isPaused = false;
-    chrome.tabs.sendMessage(tabId, { action: 'resumeRecording' });
-    chrome.action.setBadgeBackgroundColor({ color: '#FF0000', tabId });
+    this.persistSessions();
+    for (const sessionTabId of session.tabs.filter(id => id !== null)) {
+      chrome.tabs.sendMessage(sessionTabId, { action: 'resumeRecording' }).catch(() => {});
+      chrome.action.setBadgeBackgroundColor({ color: '#FF0000', tabId: sessionTabId }).catch(() => {});
+    }
     return true;
   }
 
-  addAction(tabId, action) {
-    const session = this.sessions.get(tabId);
-    if (session && !session.isPaused) {
-      session.addAction(action);
-      return true;
+  addAction(tabId, action, tabUrl = null) {
+    const session = this.getSession(tabId);
+    if (!session || session.isPaused) return false;
+
+    const tab = session.tabs.indexOf(tabId);
+    if (!action.url) {
+      action = { ...action, url: this.pageUrlAt(session, tab, action.timestamp) || tabUrl };
     }
-    return false;
+
+    // Using a tab makes it the current one, even when the switch itself
+    // (say, focusing a popup window) was not reported
+    if (tab !== session.currentTab && action.type !== 'navigate') {
+      this.switchTab(session, tab, (action.timestamp || Date.now()) - 1);
+    }
+
+    this.appendAction(session, { ...action, tab });
+    return true;
+  }
+
+  // Actions inside an iframe are not told the top-level URL; it is where the
+  // last navigation recorded in their tab before them went
+  pageUrlAt(session, tab, timestamp) {
+    const navigation = session.actions
+      .filter(action => action.tab === tab && ['navigate', 'newTab'].includes(action.type) && action.timestamp <= timestamp)
+      .pop();
+    return navigation?.url || (tab === 0 ? session.url : null);
+  }
+
+  appendAction(session, action) {
+    const index = session.actions.length;
+    const recorded = session.addAction(action);
+
+    // Once stored, the in-memory copy drops its screenshot for a reference
+    session.writeQueue = session.writeQueue
+      .then(() => recordingStore.saveSessionAction(session.id, index, recorded))
+      .then(stored => {
+        session.actions[index] = stored;
+      })
+      .catch(error => console.error('Failed to persist action:', error));
+  }
+
+  // Console entries go straight to IndexedDB like the network log; they are
+  // matched to steps when the recording is exported
+  async recordConsoleEntry(tabId, frameId, entry) {
+    const session = this.getSession(tabId);
+    if (!session || session.isPaused) return;
+
+    try {
+      await recordingStore.saveConsoleEntry(session.id, {
+        ...entry,
+        id: crypto.randomUUID(),
+        tab: session.tabs.indexOf(tabId),
+        frameId
+      });
+    } catch (error) {
+      console.error('Failed to store console entry:', error);
+    }
+  }
+
+  // A tab opened from one of the session's tabs (a link with target=_blank,
+  // window.open, an OAuth popup) joins the session. Its content script asks
+  // for the recording state with 'frameReady' once it loads.
+  async followTab(sourceTabId, tabId, url) {
+    await this.ready;
+    const session = this.getSession(sourceTabId);
+    if (!session || session.isPaused || session.tabs.includes(tabId)) return;
+
+    const tab = session.tabs.push(tabId) - 1;
+    let popup = false;
+    try {
+      const created = await chrome.tabs.get(tabId);
+      popup = (await chrome.windows.get(created.windowId)).type === 'popup';
+      if (created.active) {
+        session.currentTab = tab;
+      }
+    } catch (error) {
+      // The tab may already be gone
+    }
+
+    this.appendAction(session, {
+      type: 'newTab',
+      tab,
+      openerTab: session.tabs.indexOf(sourceTabId),
+      url,
+      popup
+    });
+    this.persistSessions();
+
+    chrome.action.setBadgeText({ text: 'REC', tabId }).catch(() => {});
+    chrome.action.setBadgeBackgroundColor({ color: '#FF0000', tabId }).catch(() => {});
+  }
+
+  async activateTab(tabId) {
+    await this.ready;
+    const session = this.getSession(tabId);
+    if (!session || session.isPaused) return;
+
+    const tab = session.tabs.indexOf(tabId);
+    if (tab !== session.currentTab) {
+      this.switchTab(session, tab);
+    }
+  }
+
+  switchTab(session, tab, timestamp = Date.now()) {
+    session.currentTab = tab;
+    this.appendAction(session, { type: 'switchTab', tab, timestamp });
+    this.persistSessions();
+  }
+
+  // Closing a followed tab is a step; closing the tab the recording started
+  // in ends the recording
+  async closeTab(tabId) {
+    await this.ready;
+    const session = this.getSession(tabId);
+    if (!session) return;
+
+    // Closing the tab a recording started in ends it without saving
+    if (tabId === session.tabId) {
+      const recording = await this.stopRecording(tabId);
+      if (recording) await discardRecording(recording.id);
+      return;
+    }
+
+    const tab = session.tabs.indexOf(tabId);
+    // The index stays taken so later actions keep pointing at the right tab
+    session.tabs[tab] = null;
+    if (!session.isPaused) {
+      this.appendAction(session, { type: 'closeTab', tab });
+    }
+    this.persistSessions();
   }
 
   getSession(tabId) {
-    return this.sessions.get(tabId);
+    if (this.sessions.has(tabId)) {
+      return this.sessions.get(tabId);
+    }
+    for (const session of this.sessions.values()) {
+      if (session.tabs.includes(tabId)) return session;
+    }
+    return undefined;
   }
 
   isRecording(tabId) {
-    return this.sessions.has(tabId);
+    return !!this.getSession(tabId);
   }
 
-  async startCombinedRecording(tabId) {
+  async startCombinedRecording(tabId, options = {}) {
     try {
       // Start the demo recording
-      const session = await this.startRecording(tabId);
+      const session = await this.startRecording(tabId, options);
       
       // Start screen recording in a new tab
       chrome.tabs.create({
@@ -166,6 +433,7 @@ class RecordingManager {
       }, (screenTab) => {
         if (screenTab) {
           session.screenRecordingTabId = screenTab.id;
+          this.persistSessions();
         }
       });
       
@@ -176,7 +444,8 @@ class RecordingManager {
   }
 
   async stopCombinedRecording(tabId) {
-    const session = this.sessions.get(tabId);
+    await this.ready;
+    const session = this.getSession(tabId);
     if (!session) return null;
 
     // Stop the demo recording
@@ -188,14 +457,493 @@ class RecordingManager {
   }
 }
 
+const REPLAYABLE_ACTIONS = ['click', 'dblclick', 'input', 'select', 'checkbox', 'radio', 'keypress', 'scroll', 'submit', 'navigate', 'newTab', 'switchTab', 'closeTab', 'assert', 'drag', 'format'];
+const REPLAY_FAST_DELAY = 250;
+// Long idle gaps in a recording are capped so real-time replays stay watchable
+const REPLAY_MAX_REALTIME_GAP = 10000;
+
+class ReplaySession {
+  constructor(recording, tabId, speed) {
+    this.id = crypto.randomUUID();
+    this.recordingId = recording.id;
+    this.title = recording.metadata?.title || 'Recording';
+    this.actions = recording.actions || [];
+    this.tabId = tabId;
+    // Replay tab ids by recorded tab index, and tabs opened by replayed steps
+    // that no newTab step has claimed yet
+    this.tabs = [tabId];
+    this.openedTabs = [];
+    this.speed = speed;
+    this.state = 'running';
+    this.currentStep = 0;
+    this.results = [];
+    this.advance = null;
+    this.lastStepNavigated = false;
+  }
+
+  getStatus() {
+    return {
+      id: this.id,
+      recordingId: this.recordingId,
+      title: this.title,
+      speed: this.speed,
+      state: this.state,
+      currentStep: this.currentStep,
+      totalSteps: this.actions.length,
+      results: this.results,
+      passed: this.results.filter(r => r.status === 'passed').length,
+      failed: this.results.filter(r => r.status === 'failed').length
+    };
+  }
+}
+
+class ReplayManager {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async startReplay(recordingId, speed = 'fast') {
+    const recording = await getRecording(recordingId);
+
+    if (!recording) {
+      throw new Error('Recording not found');
+    }
+
+    const tab = await chrome.tabs.create({ url: recording.url });
+    const replay = new ReplaySession(recording, tab.id, speed);
+    this.sessions.set(tab.id, replay);
+
+    chrome.action.setBadgeText({ text: 'PLAY', tabId: tab.id });
+    chrome.action.setBadgeBackgroundColor({ color: '#28a745', tabId: tab.id });
+
+    this.run(replay).catch(error => {
+      console.error('Replay failed:', error);
+      replay.state = 'failed';
+      this.reportProgress(replay);
+    });
+
+    return replay;
+  }
+
+  async run(replay) {
+    await this.waitForTabComplete(replay.tabId);
+
+    for (let i = 0; i < replay.actions.length; i++) {
+      await this.waitForTurn(replay, i);
+      if (replay.state === 'stopped') break;
+
+      replay.currentStep = i + 1;
+      replay.state = 'running';
+      this.reportProgress(replay);
+
+      const result = await this.runStep(replay, replay.actions[i], i);
+      if (replay.state === 'stopped') break;
+
+      replay.results.push(result);
+      this.reportProgress(replay);
+    }
+
+    if (replay.state !== 'stopped') {
+      replay.state = 'finished';
+    }
+    chrome.action.setBadgeText({ text: '', tabId: replay.tabId });
+    this.reportProgress(replay);
+  }
+
+  waitForTurn(replay, index) {
+    if (replay.state === 'stopped') {
+      return Promise.resolve();
+    }
+
+    if (replay.speed === 'step') {
+      replay.state = 'waiting';
+      this.reportProgress(replay);
+      return new Promise(resolve => {
+        replay.advance = resolve;
+      });
+    }
+
+    let delay = REPLAY_FAST_DELAY;
+    if (replay.speed === 'realtime' && index > 0) {
+      const gap = replay.actions[index].timestamp - replay.actions[index - 1].timestamp;
+      delay = Math.min(Math.max(gap, 0), REPLAY_MAX_REALTIME_GAP);
+    }
+
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, delay);
+      replay.advance = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  async runStep(replay, action, index) {
+    const startedAt = Date.now();
+    const result = { index, type: action.type };
+
+    if (!REPLAYABLE_ACTIONS.includes(action.type)) {
+      return { ...result, status: 'skipped', error: 'Action type is not replayed', duration: 0 };
+    }
+
+    if (action.type === 'submit' && replay.lastStepNavigated) {
+      replay.lastStepNavigated = false;
+      return { ...result, status: 'passed', note: 'Form was submitted by the previous step', duration: 0 };
+    }
+
+    if (['newTab', 'switchTab', 'closeTab'].includes(action.type)) {
+      const outcome = await this.replayTabAction(replay, action);
+      return { ...result, ...outcome, duration: Date.now() - startedAt };
+    }
+
+    const tabId = replay.tabs[action.tab || 0];
+    if (!tabId) {
+      return { ...result, status: 'failed', error: `Tab ${(action.tab || 0) + 1} is not open`, duration: 0 };
+    }
+
+    if (action.type === 'navigate') {
+      const outcome = await this.replayNavigation(replay, action, tabId);
+      return { ...result, ...outcome, duration: Date.now() - startedAt };
+    }
+
+    if (action.type === 'assert' && action.assertion === 'url') {
+      const outcome = await this.replayUrlAssertion(tabId, action);
+      return { ...result, ...outcome, duration: Date.now() - startedAt };
+    }
+
+    let response;
+    try {
+      const frameId = await this.findFrame(tabId, action.frame);
+      if (frameId === null) {
+        return { ...result, status: 'failed', error: 'Frame not found', duration: Date.now() - startedAt };
+      }
+      await this.ensureReplayer(tabId, frameId);
+
+      // Screenshots are not needed to replay a step and make the message large
+      const { screenshot, screenshotCrop, ...step } = action;
+      response = await chrome.tabs.sendMessage(tabId, { action: 'replayAction', step }, { frameId });
+    } catch (error) {
+      response = { success: false, error: error.message };
+    }
+
+    replay.lastStepNavigated = await this.settleNavigation(tabId);
+
+    // A step that starts a navigation can tear down the page before it answers
+    if (!response && replay.lastStepNavigated) {
+      response = { success: true };
+    } else if (response && !response.success && replay.lastStepNavigated &&
+               /message port closed/i.test(response.error || '')) {
+      response = { success: true };
+    }
+
+    result.status = response?.success ? 'passed' : (response?.skipped ? 'skipped' : 'failed');
+    if (response?.error) result.error = response.error;
+    if (response?.note) result.note = response.note;
+    if (response?.strategy) {
+      result.strategy = response.strategy;
+      result.confidence = response.confidence;
+    }
+    result.duration = Date.now() - startedAt;
+    return result;
+  }
+
+  // Pages the user opened are loaded again; navigations caused by the page
+  // should already have happened by the time the step comes up.
+  async replayNavigation(replay, action, tabId) {
+    replay.lastStepNavigated = false;
+
+    if (isDirectNavigation(action)) {
+      if (action.transitionType === 'reload') {
+        await chrome.tabs.reload(tabId);
+      } else {
+        await chrome.tabs.update(tabId, { url: action.url });
+      }
+      await this.settleNavigation(tabId);
+      return { status: 'passed' };
+    }
+
+    const url = await this.waitForUrl(tabId, action.url);
+    if (url === action.url) {
+      return { status: 'passed' };
+    }
+    if (this.urlSimilarity(action.url, url) > 0) {
+      return { status: 'passed', note: `Reached ${url}` };
+    }
+    return { status: 'failed', error: `Expected ${action.url} but the page is at ${url}` };
+  }
+
+  async replayTabAction(replay, action) {
+    switch (action.type) {
+      case 'newTab': {
+        // The step before normally opened the tab already
+        const openedTabId = await this.waitForOpenedTab(replay);
+        if (openedTabId !== null) {
+          replay.tabs[action.tab] = openedTabId;
+          await this.waitForTabComplete(openedTabId);
+          return { status: 'passed' };
+        }
+
+        const openerTabId = replay.tabs[action.openerTab || 0];
+        const tab = await chrome.tabs.create({ url: action.url, ...(openerTabId ? { openerTabId } : {}) });
+        replay.tabs[action.tab] = tab.id;
+        await this.waitForTabComplete(tab.id);
+        return { status: 'passed', note: 'The tab was not opened by the page, so it was opened directly' };
+      }
+
+      case 'switchTab': {
+        const tabId = replay.tabs[action.tab];
+        if (!tabId) {
+          return { status: 'failed', error: `Tab ${action.tab + 1} is not open` };
+        }
+        const tab = await chrome.tabs.update(tabId, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+        return { status: 'passed' };
+      }
+
+      case 'closeTab': {
+        const tabId = replay.tabs[action.tab];
+        replay.tabs[action.tab] = null;
+        if (!tabId) {
+          return { status: 'passed', note: 'The tab was already closed' };
+        }
+
+        // Popups such as OAuth windows usually close themselves
+        if (await this.waitForTabClosed(tabId)) {
+          return { status: 'passed', note: 'The page closed the tab' };
+        }
+        await chrome.tabs.remove(tabId);
+        return { status: 'passed' };
+      }
+    }
+  }
+
+  async waitForOpenedTab(replay, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (replay.openedTabs.length === 0 && Date.now() < deadline && replay.state !== 'stopped') {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    return replay.openedTabs.length > 0 ? replay.openedTabs.shift() : null;
+  }
+
+  async waitForTabClosed(tabId, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      try {
+        await chrome.tabs.get(tabId);
+      } catch (error) {
+        return true;
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    return false;
+  }
+
+  // Called for every tab opened from another tab, replayed or not
+  noteOpenedTab(sourceTabId, tabId) {
+    for (const replay of this.sessions.values()) {
+      if (replay.tabs.includes(sourceTabId)) {
+        replay.openedTabs.push(tabId);
+        return;
+      }
+    }
+  }
+
+  // Like element assertions, the URL gets some time to reach the expected page
+  async replayUrlAssertion(tabId, action, timeout = 5000) {
+    let pattern = null;
+    if (action.pattern) {
+      // A bad pattern fails this step only, not the rest of the replay
+      try {
+        pattern = new RegExp(action.pattern);
+      } catch (error) {
+        return { status: 'failed', error: `Bad URL pattern ${action.pattern}: ${error.message}` };
+      }
+    }
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      let current;
+      try {
+        current = (await chrome.tabs.get(tabId)).url;
+      } catch (error) {
+        return { status: 'failed', error: 'Tab was closed' };
+      }
+
+      if (pattern ? pattern.test(current) : current === action.expected) {
+        return { status: 'passed' };
+      }
+      if (Date.now() > deadline) {
+        return { status: 'failed', error: `Expected URL like ${action.expected}, found ${current}` };
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+  }
+
+  async waitForUrl(tabId, url, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    let current = null;
+
+    while (Date.now() < deadline) {
+      try {
+        current = (await chrome.tabs.get(tabId)).url;
+      } catch (error) {
+        return null;
+      }
+      if (current === url) break;
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    return current;
+  }
+
+  // Finds the frame an action was recorded in. Candidates must sit at the
+  // same depth as the recorded frame chain and are scored on how closely the
+  // URLs along the chain match, so a frame that re-rendered with new query
+  // parameters is still found.
+  async findFrame(tabId, frame) {
+    if (!frame?.path?.length) return 0;
+
+    const frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+    const framesById = new Map(frames.map(candidate => [candidate.frameId, candidate]));
+    let best = null;
+    let bestScore = 0;
+
+    for (const candidate of frames) {
+      const chain = [];
+      for (let current = candidate; current && current.parentFrameId !== -1; current = framesById.get(current.parentFrameId)) {
+        chain.unshift(current.url);
+      }
+      if (chain.length !== frame.path.length) continue;
+
+      const scores = frame.path.map((entry, index) => this.urlSimilarity(entry.url, chain[index]));
+      const score = scores.reduce((total, value) => total + value, 0);
+      if (scores[scores.length - 1] > 0 && score > bestScore) {
+        best = candidate.frameId;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  urlSimilarity(recorded, current) {
+    if (recorded === current) return 2;
+
+    try {
+      const a = new URL(recorded);
+      const b = new URL(current);
+      return a.origin === b.origin && a.pathname === b.pathname ? 1 : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  async ensureReplayer(tabId, frameId = 0) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'replayPing' }, { frameId });
+      if (response?.ready) return;
+    } catch (error) {
+      // No replayer in this frame yet
+    }
+
+    await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      files: ['replayer.js']
+    });
+  }
+
+  async settleNavigation(tabId) {
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    let tab;
+    try {
+      tab = await chrome.tabs.get(tabId);
+    } catch (error) {
+      return false;
+    }
+
+    if (tab.status === 'loading') {
+      await this.waitForTabComplete(tabId);
+      return true;
+    }
+    return false;
+  }
+
+  waitForTabComplete(tabId, timeout = 30000) {
+    return new Promise((resolve) => {
+      let timer;
+      const listener = (updatedTabId, changeInfo) => {
+        if (updatedTabId === tabId && changeInfo.status === 'complete') {
+          finish();
+        }
+      };
+      const finish = () => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      };
+
+      timer = setTimeout(finish, timeout);
+      chrome.tabs.onUpdated.addListener(listener);
+
+      chrome.tabs.get(tabId, (tab) => {
+        if (chrome.runtime.lastError || tab.status === 'complete') {
+          finish();
+        }
+      });
+    });
+  }
+
+  nextStep(tabId) {
+    const replay = this.sessions.get(tabId);
+    if (!replay || !replay.advance) return false;
+
+    const advance = replay.advance;
+    replay.advance = null;
+    advance();
+    return true;
+  }
+
+  stopReplay(tabId) {
+    const replay = this.sessions.get(tabId);
+    if (!replay) return false;
+
+    replay.state = 'stopped';
+    if (replay.advance) {
+      replay.advance();
+      replay.advance = null;
+    }
+    chrome.action.setBadgeText({ text: '', tabId });
+    this.reportProgress(replay);
+    return true;
+  }
+
+  getStatus(tabId) {
+    return this.sessions.get(tabId)?.getStatus() || null;
+  }
+
+  reportProgress(replay) {
+    chrome.runtime.sendMessage({
+      action: 'replayProgress',
+      tabId: replay.tabId,
+      replay: replay.getStatus()
+    }).catch(() => {
+      // The popup is usually closed while a replay runs
+    });
+  }
+}
+
+const recordingStore = new RecordingStore();
 const recordingManager = new RecordingManager();
+const replayManager = new ReplayManager();
+const networkMonitor = new NetworkMonitor();
 
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
   switch (request.action) {
     case 'startCombinedRecording':
-      recordingManager.startCombinedRecording(request.tabId)
+      recordingManager.startCombinedRecording(request.tabId, { screenshotMode: request.screenshotMode })
         .then(session => sendResponse({ success: true, sessionId: session.id }))
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
@@ -213,7 +961,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return true;
 
     case 'startRecording':
-      recordingManager.startRecording(request.tabId)
+      recordingManager.startRecording(request.tabId, { screenshotMode: request.screenshotMode })
         .then(session => sendResponse({ success: true, sessionId: session.id }))
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
@@ -243,43 +991,105 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return true;
 
     case 'pauseRecording':
-      const paused = recordingManager.pauseRecording(request.tabId);
-      sendResponse({ success: paused });
-      break;
+      recordingManager.ready.then(() => {
+        sendResponse({ success: recordingManager.pauseRecording(request.tabId) });
+      });
+      return true;
 
     case 'resumeRecording':
-      const resumed = recordingManager.resumeRecording(request.tabId);
-      sendResponse({ success: resumed });
+      recordingManager.ready.then(() => {
+        sendResponse({ success: recordingManager.resumeRecording(request.tabId) });
+      });
+      return true;
+
+    case 'recordAction':
+      if (sender.tab) {
+        recordingManager.ready.then(() => {
+          const added = recordingManager.addAction(sender.tab.id, request.actionData, sender.tab.url);
+          console.log('Action recorded:', request.actionData.type, 'Has screenshot:', !!request.actionData.screenshot);
+          sendResponse({ success: added });
+        });
+        return true;
+      }
       break;
 
-    case 'recordAction':
+    case 'frameReady':
       if (sender.tab) {
-        const added = recordingManager.addAction(sender.tab.id, request.actionData);
-        console.log('Action recorded:', request.actionData.type, 'Has screenshot:', !!request.actionData.screenshot);
-        sendResponse({ success: added });
+        Promise.all([recordingManager.ready, loadSettings()]).then(([, settings]) => {
+          const session = recordingManager.getSession(sender.tab.id);
+          sendResponse({
+            isRecording: !!session,
+            isPaused: session?.isPaused || false,
+            sessionId: session?.id,
+            settings
+          });
+        });
+        return true;
       }
       break;
 
     case 'getStatus':
-      const isRecording = recordingManager.isRecording(request.tabId);
-      const session = recordingManager.getSession(request.tabId);
-      sendResponse({ 
-        isRecording,
-        isPaused: session?.isPaused || false,
-        sessionId: session?.id 
+      recordingManager.ready.then(() => {
+        const session = recordingManager.getSession(request.tabId);
+        sendResponse({ 
+          isRecording: recordingManager.isRecording(request.tabId),
+          isPaused: session?.isPaused || false,
+          sessionId: session?.id 
+        });
       });
-      break;
+      return true;
 
     case 'getSavedRecordings':
       getSavedRecordings().then(recordings => sendResponse(recordings));
       return true;
 
+    case 'discardRecording':
+      discardRecording(request.recordingId)
+        .then(() => sendResponse({ success: true }));
+      return true;
+
     case 'deleteRecording':
       deleteRecording(request.recordingId)
         .then(() => sendResponse({ success: true }))
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
 
+    case 'getSnapshotSteps':
+      getSnapshotSteps(request.recordingId)
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'getSnapshot':
+      recordingStore.getSnapshot(request.snapshotId)
+        .then(snapshot => sendResponse(snapshot ? { success: true, snapshot } : { success: false, error: 'Snapshot not found' }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'compactRecording':
+      compactRecording(request.recordingId)
+        .then(steps => sendResponse({ success: true, steps }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'getStorageUsage':
+      recordingStore.getUsage()
+        .then(usage => sendResponse({ success: true, usage }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'saveSettings':
+      updateSettings(request.settings)
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'importRecording':
+      importRecording(request.data, request.format)
+        .then(recording => sendResponse({ success: true, recordingId: recording.id, title: recording.metadata.title }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
     case 'exportRecording':
       exportRecording(request.recordingId, request.format)
         .then(data => sendResponse({ success: true, data }))
@@ -289,32 +1099,34 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     case 'screenRecordingStopped':
       // Handle when screen recording stops - this should stop the demo recording too
-      const activeSession = recordingManager.getSession(request.tabId);
-      
-      if (activeSession && request.recordingId === activeSession.id) {
-        // Store the download ID and filename
-        activeSession.videoDownloadId = request.downloadId;
-        activeSession.videoFilename = request.videoFilename;
+      recordingManager.ready.then(() => {
+        const activeSession = recordingManager.getSession(request.tabId);
         
-        // Stop the demo recording
-        recordingManager.stopCombinedRecording(request.tabId)
-          .then(recording => {
-            if (recording) {
-              // Store the completed recording for the popup to pick up
-              chrome.storage.local.set({
-                [`pendingRecording_${request.tabId}`]: recording
-              });
-              
-              // Send response
-              sendResponse({ success: true, recording: recording });
-            } else {
-              sendResponse({ success: false, error: 'Failed to stop recording' });
-            }
-          })
-          .catch(error => sendResponse({ success: false, error: error.message }));
-      } else {
-        sendResponse({ success: false, error: 'Recording session not found' });
-      }
+        if (activeSession && request.recordingId === activeSession.id) {
+          // Store the download ID and filename
+          activeSession.videoDownloadId = request.downloadId;
+          activeSession.videoFilename = request.videoFilename;
+          
+          // Stop the demo recording
+          recordingManager.stopCombinedRecording(request.tabId)
+            .then(recording => {
+              if (recording) {
+                // Store the completed recording for the popup to pick up
+                chrome.storage.local.set({
+                  [`pendingRecording_${request.tabId}`]: recording
+                });
+                
+                // Send response
+                sendResponse({ success: true, recording: recording });
+              } else {
+                sendResponse({ success: false, error: 'Failed to stop recording' });
+              }
+            })
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        } else {
+          sendResponse({ success: false, error: 'Recording session not found' });
+        }
+      });
       return true;
 
     case 'openVideo':
@@ -395,6 +1207,24 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
       return true;
 
+    case 'startReplay':
+      replayManager.startReplay(request.recordingId, request.speed)
+        .then(replay => sendResponse({ success: true, replayId: replay.id, tabId: replay.tabId }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'replayNextStep':
+      sendResponse({ success: replayManager.nextStep(request.tabId) });
+      break;
+
+    case 'stopReplay':
+      sendResponse({ success: replayManager.stopReplay(request.tabId) });
+      break;
+
+    case 'getReplayStatus':
+      sendResponse({ replay: replayManager.getStatus(request.tabId) });
+      break;
+
     case 'startScreenRecording':
       // Open screen recording page
       chrome.tabs.create({
@@ -406,17 +1236,28 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     
     case 'captureScreenshot':
       if (sender.tab) {
-        chrome.tabs.captureVisibleTab(sender.tab.windowId, 
-          { format: 'png', quality: 90 }, 
-          (dataUrl) => {
-            if (chrome.runtime.lastError) {
-              console.error('Screenshot failed:', chrome.runtime.lastError);
-              sendResponse({ success: false });
-            } else {
-              sendResponse({ success: true, screenshot: dataUrl });
-            }
-          }
-        );
+        // Without the redaction regions there is no screenshot, rather than
+        // one that shows what should have been hidden
+        captureStepScreenshot(sender.tab, request.annotation)
+          .then(screenshots => sendResponse({ success: true, ...screenshots }))
+          .catch(error => {
+            console.error('Screenshot failed:', error);
+            sendResponse({ success: false });
+          });
+        return true;
+      }
+      break;
+
+    case 'recordConsoleEntry':
+      if (sender.tab) {
+        recordingManager.ready.then(() => recordingManager.recordConsoleEntry(sender.tab.id, sender.frameId, request.entry));
+      }
+      break;
+
+    case 'waitForNetworkIdle':
+      if (sender.tab) {
+        networkMonitor.waitForIdle(sender.tab.id, request.timeout)
+          .then(() => sendResponse({ success: true }));
         return true;
       }
       break;
@@ -425,46 +1266,108 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 async function saveRecording(recording) {
   try {
-    const saved = await chrome.storage.local.get(['recordings']);
-    const recordings = saved.recordings || [];
-    recordings.unshift(recording);
-    
-    // Keep only 50 most recent recordings
-    if (recordings.length > 50) {
-      recordings.splice(50);
+    // Imported recordings arrive without steps
+    if (!recording.steps) {
+      recording.steps = compactSteps(recording.actions);
     }
-    
-    await chrome.storage.local.set({ recordings });
+    await recordingStore.saveRecording(recording);
     console.log('Recording saved with ID:', recording.id);
+
+    const settings = await loadSettings();
+    await recordingStore.applyRetention(settings.retention);
   } catch (error) {
     console.error('Failed to save recording:', error);
+    throw error;
   }
 }
 
 async function getSavedRecordings() {
   try {
-    const saved = await chrome.storage.local.get(['recordings']);
-    return saved.recordings || [];
+    return await recordingStore.listRecordings();
   } catch (error) {
     console.error('Failed to get recordings:', error);
     return [];
   }
 }
 
+async function getRecording(recordingId) {
+  return recordingStore.getRecording(recordingId);
+}
+
+// The steps of a recording as the snapshot viewer lists them, without
+// loading any screenshots
+async function getSnapshotSteps(recordingId) {
+  const recording = (await recordingStore.listRecordings()).find(saved => saved.id === recordingId);
+  if (!recording) {
+    throw new Error('Recording not found');
+  }
+
+  // Numbered like the exports number them. A step shows the snapshot of the
+  // action it is described by, or of the last of its events that has one.
+  const actions = await recordingStore.getSessionActions(recordingId);
+  actions.sort((a, b) => a.timestamp - b.timestamp);
+  const steps = recordingSteps({ actions, steps: recording.steps })
+    .map((step, index) => ({
+      number: index + 1,
+      type: step.type,
+      description: step.description,
+      element: step.action.element || null,
+      snapshotId: step.action.snapshotId || [...step.actions].reverse().find(action => action.snapshotId)?.snapshotId || null
+    }));
+
+  return { title: recording.metadata?.title || 'Untitled Recording', steps };
+}
+
+// Builds the steps of a saved recording again from its raw events, for
+// recordings made before steps were kept or when compaction has changed
+async function compactRecording(recordingId) {
+  const actions = await recordingStore.getSessionActions(recordingId);
+  const steps = compactSteps(actions.sort((a, b) => a.timestamp - b.timestamp));
+  await recordingStore.updateRecording(recordingId, { steps });
+  return steps;
+}
+
+async function importRecording(data, format) {
+  if (format !== 'devtools') {
+    throw new Error('Unsupported import format');
+  }
+
+  let json;
+  try {
+    json = JSON.parse(data);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+
+  const recording = importDevToolsRecording(json);
+  await saveRecording(recording);
+  return recording;
+}
+
 async function deleteRecording(recordingId) {
-  const saved = await chrome.storage.local.get(['recordings']);
-  const recordings = saved.recordings || [];
-  const index = recordings.findIndex(r => r.id === recordingId);
-  
-  if (index !== -1) {
-    recordings.splice(index, 1);
-    await chrome.storage.local.set({ recordings });
+  await recordingStore.deleteRecording(recordingId);
+}
+
+// Sessions that stopped without being saved leave their actions, screenshots
+// and network entries behind, which would count towards storage usage until
+// the next browser start
+async function discardRecording(recordingId) {
+  try {
+    await recordingStore.discardSession(recordingId);
+  } catch (error) {
+    console.error('Failed to remove unsaved recording data:', error);
   }
 }
 
+async function updateSettings(settings) {
+  const saved = await saveSettings(settings);
+  networkMonitor.configure(saved.privacy);
+  const removed = await recordingStore.applyRetention(saved.retention);
+  return { settings: saved, removed };
+}
+
 async function exportRecording(recordingId, format) {
-  const recordings = await getSavedRecordings();
-  const recording = recordings.find(r => r.id === recordingId);
+  const recording = await getRecording(recordingId);
   
   if (!recording) {
     throw new Error('Recording not found');
@@ -472,13 +1375,35 @@ async function exportRecording(recordingId, format) {
 
   switch (format) {
     case 'json':
-      return JSON.stringify(recording, null, 2);
+      return JSON.stringify({
+        ...recording,
+        console: attributeConsoleEntries(recording.actions, await recordingStore.getConsoleLog(recordingId))
+      }, null, 2);
     
     case 'markdown':
       return generateMarkdown(recording);
     
     case 'html':
-      return generateHTML(recording);
+      return generateHTML(
+        recording,
+        await recordingStore.getNetworkLog(recordingId),
+        await recordingStore.getConsoleLog(recordingId)
+      );
+
+    case 'har':
+      return generateHar(recording, await recordingStore.getNetworkLog(recordingId));
+
+    case 'playwright':
+      return generatePlaywright(recording);
+
+    case 'cypress':
+      return generateCypress(recording);
+
+    case 'puppeteer':
+      return generatePuppeteer(recording);
+
+    case 'devtools':
+      return generateDevToolsRecording(recording);
     
     default:
       throw new Error('Unsupported export format');
@@ -491,25 +1416,184 @@ function generateMarkdown(recording) {
   markdown += `**Duration:** ${Math.round(recording.duration / 1000)}s\n\n`;
   markdown += `## Steps\n\n`;
 
-  recording.actions.forEach((action, index) => {
-    markdown += `${index + 1}. **${action.type}**`;
-    if (action.element?.text) {
-      markdown += ` - "${action.element.text}"`;
-    }
-    if (action.value) {
-      markdown += ` - Entered: "${action.value}"`;
+  recordingSteps(recording).forEach((step, index) => {
+    markdown += `${index + 1}. ${step.description}`;
+    if (step.action.tab) {
+      markdown += ` _(tab ${step.action.tab + 1})_`;
     }
     markdown += '\n';
+    // The raw events stay available for debugging, folded into a comment
+    if (step.actions.length > 1) {
+      markdown += `   <!-- ${step.actions.map(action => action.type).join(', ')} -->\n`;
+    }
   });
 
   return markdown;
 }
 
-function generateHTML(recording) {
+// Tabs are numbered from 1 for readers; tab 1 is where the recording started
+function describeTabAction(action) {
+  switch (action.type) {
+    case 'newTab':
+      return `Opened ${action.popup ? 'popup' : 'tab'} ${action.tab + 1} from tab ${(action.openerTab || 0) + 1}: ${action.url}`;
+    case 'switchTab':
+      return `Switched to tab ${action.tab + 1}`;
+    case 'closeTab':
+      return `Closed tab ${action.tab + 1}`;
+    default:
+      return null;
+  }
+}
+
+function describeAssertion(action) {
+  switch (action.assertion) {
+    case 'visible':
+      return 'Element is visible';
+    case 'text':
+      return `Element contains "${action.expected}"`;
+    case 'value':
+      return `Value is "${action.expected}"`;
+    case 'url':
+      return `URL matches ${action.expected}`;
+    default:
+      return null;
+  }
+}
+
+const FORMAT_LABELS = {
+  bold: 'Bold',
+  italic: 'Italic',
+  underline: 'Underline',
+  strikeThrough: 'Strikethrough',
+  superscript: 'Superscript',
+  subscript: 'Subscript',
+  indent: 'Indent',
+  outdent: 'Outdent',
+  removeFormat: 'Clear formatting',
+  justifyLeft: 'Align left',
+  justifyCenter: 'Center',
+  justifyRight: 'Align right',
+  justifyFull: 'Justify',
+  insertOrderedList: 'Numbered list',
+  insertUnorderedList: 'Bulleted list'
+};
+
+function describeFormat(action) {
+  const label = FORMAT_LABELS[action.command] || action.command;
+  const shortcut = action.key ? ` (${keyLabel(action)})` : '';
+  return `${label}${action.selection ? ` on "${action.selection}"` : ''}${shortcut}`;
+}
+
+function describeDrag(action) {
+  const name = element => (element?.text || '').trim().substring(0, 50) || element?.selector || 'element';
+  if (action.dragKind === 'file') {
+    return `Dropped ${action.files.map(file => file.name).join(', ')} onto "${name(action.target)}"`;
+  }
+  return `Dragged "${name(action.element)}" to "${name(action.target)}"`;
+}
+
+// The pointer path drawn over the screenshot, in viewport coordinates. A
+// full-page screenshot covers a taller area of that viewport.
+function renderDragPath(action) {
+  if (!action.path?.length || !action.origin || !action.viewport?.width) return '';
+
+  const area = action.screenshotArea || { x: 0, y: 0, width: action.viewport.width, height: action.viewport.height };
+  const offset = action.frame?.offset || { x: 0, y: 0 };
+  const points = action.path.map(point => [
+    action.origin.x + offset.x + point.x,
+    action.origin.y + offset.y + point.y
+  ]);
+  const [startX, startY] = points[0];
+  const [endX, endY] = points[points.length - 1];
+
+  return `
+    <svg class="drag-path" viewBox="${area.x} ${area.y} ${area.width} ${area.height}" preserveAspectRatio="none">
+      <polyline points="${points.map(point => point.join(',')).join(' ')}" />
+      <circle cx="${startX}" cy="${startY}" r="6" class="start" />
+      <circle cx="${endX}" cy="${endY}" r="6" class="end" />
+    </svg>
+  `;
+}
+
+function describeFramePath(frame) {
+  return frame.path
+    .map(entry => `${entry.selector || entry.xpath || 'iframe'} (${entry.url})`)
+    .join(' › ');
+}
+
+function renderNetworkLog(entries, label) {
+  if (entries.length === 0) return '';
+
+  const failed = entries.filter(entry => entry.error || entry.status >= 400).length;
+  return `
+    <details class="network-log">
+      <summary>${label}: ${entries.length} request${entries.length === 1 ? '' : 's'}${failed ? ` (${failed} failed)` : ''}</summary>
+      <table>
+        ${entries.map(entry => `
+          <tr class="${entry.error || entry.status >= 400 ? 'failed' : ''}">
+            <td>${escapeHtml(entry.method)}</td>
+            <td>${escapeHtml(entry.error || entry.status)}</td>
+            <td class="url" title="${escapeHtml(entry.url)}">${escapeHtml(entry.url)}</td>
+            <td>${entry.type}</td>
+            <td>${Math.round(entry.endTime - entry.startTime)} ms</td>
+            <td>${entry.size >= 0 ? `${(entry.size / 1024).toFixed(1)} KB` : ''}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </details>
+  `;
+}
+
+// Console output belongs to the last step in the same tab before it
+function attributeConsoleEntries(actions, entries) {
+  return entries.map(entry => {
+    const step = findStepBefore(actions, entry.tab, entry.timestamp);
+    return { ...entry, step, actionId: step === null ? null : actions[step].id };
+  });
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderConsoleLog(entries, label) {
+  if (entries.length === 0) return '';
+
+  return `
+    <div class="console-log">
+      <strong>${label}:</strong>
+      ${entries.map(entry => `
+        <div class="console-entry ${entry.level}">
+          <span class="console-level">${entry.level}</span>
+          <span class="console-message">${escapeHtml(entry.message)}</span>
+          ${entry.source ? `<span class="console-source">${escapeHtml(entry.source)}${entry.line ? `:${entry.line}` : ''}</span>` : ''}
+          ${entry.stack ? `<details><summary>Stack</summary><pre>${escapeHtml(entry.stack)}</pre></details>` : ''}
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function countConsoleErrors(entries) {
+  return entries.filter(entry => entry.level !== 'warn').length;
+}
+
+function generateHTML(recording, network = [], consoleLog = []) {
+  const steps = recordingSteps(recording);
+  // Requests and console output belong to the step whose first event came before them
+  const stepStarts = steps.map(step => step.actions[0]);
+  const requests = attributeNetworkEntries(stepStarts, network);
+  const consoleEntries = attributeConsoleEntries(stepStarts, consoleLog);
+
   return `<!DOCTYPE html>
 <html>
 <head>
-  <title>${recording.metadata?.title || 'Demo Recording'}</title>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(recording.metadata?.title || 'Demo Recording')}</title>
   <style>
     body { 
       font-family: system-ui, -apple-system, sans-serif; 
@@ -560,6 +1644,84 @@ function generateHTML(recording) {
     .step.scroll { 
       border-left: 4px solid #ffc107; 
     }
+    .step.navigate { 
+      border-left: 4px solid #00acc1; 
+    }
+    .step.assert { 
+      border-left: 4px solid #5e35b1; 
+    }
+    .step.drag { 
+      border-left: 4px solid #d81b60; 
+    }
+    .step.fill { 
+      border-left: 4px solid #28a745; 
+    }
+    .step.submit { 
+      border-left: 4px solid #7b1fa2; 
+    }
+    .step-description {
+      margin: 8px 0;
+      font-size: 15px;
+      font-weight: 500;
+    }
+    .raw-events {
+      margin: 8px 0;
+      font-size: 12px;
+      color: #495057;
+    }
+    .raw-events summary {
+      cursor: pointer;
+    }
+    .raw-events ol {
+      margin: 6px 0 0 0;
+      padding-left: 20px;
+    }
+    .raw-event-time {
+      color: #999;
+    }
+    .editable-snippet summary {
+      cursor: pointer;
+      font-size: 12px;
+      color: #495057;
+    }
+    .editable-snippet pre {
+      background: #f8f9fa;
+      padding: 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+    .screenshot-container {
+      position: relative;
+    }
+    .screenshot-pair {
+      display: grid;
+      grid-template-columns: 2fr 1fr;
+      gap: 10px;
+      align-items: start;
+    }
+    .screenshot-crop img {
+      max-height: 400px;
+      object-fit: contain;
+      background: #f8f9fa;
+    }
+    .drag-path {
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      pointer-events: none;
+    }
+    .drag-path polyline {
+      fill: none;
+      stroke: #d81b60;
+      stroke-width: 3;
+      vector-effect: non-scaling-stroke;
+    }
+    .drag-path circle.start { fill: #fff; stroke: #d81b60; stroke-width: 2; }
+    .drag-path circle.end { fill: #d81b60; }
     .step-header {
       display: flex;
       justify-content: space-between;
@@ -582,7 +1744,20 @@ function generateHTML(recording) {
     .step-type.click { background: #e3f2fd; color: #1976d2; }
     .step-type.input { background: #e8f5e9; color: #388e3c; }
     .step-type.scroll { background: #fff8e1; color: #f57c00; }
+    .step-type.fill { background: #e8f5e9; color: #388e3c; }
     .step-type.submit { background: #f3e5f5; color: #7b1fa2; }
+    .step-type.navigate { background: #e0f7fa; color: #00838f; }
+    .step-type.assert { background: #ede7f6; color: #4527a0; }
+    .step-type.drag { background: #fce4ec; color: #ad1457; }
+    .step-type.format { background: #e8eaf6; color: #283593; }
+    .step-tab {
+      display: inline-block;
+      padding: 2px 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      background: #eceff1;
+      color: #455a64;
+    }
     .element-info {
       background: #f8f9fa;
       padding: 8px;
@@ -597,6 +1772,99 @@ function generateHTML(recording) {
       font-size: 12px;
       margin-top: 8px;
     }
+    .frame-path {
+      background: #e7f1ff;
+      padding: 8px;
+      border-radius: 4px;
+      margin: 8px 0;
+      font-family: monospace;
+      font-size: 12px;
+      color: #084298;
+      word-break: break-all;
+    }
+    .network-log {
+      margin: 8px 0;
+      font-size: 12px;
+    }
+    .network-log summary {
+      cursor: pointer;
+      color: #495057;
+    }
+    .network-log table {
+      width: 100%;
+      margin-top: 6px;
+      border-collapse: collapse;
+      font-family: monospace;
+      table-layout: fixed;
+    }
+    .network-log td {
+      padding: 3px 6px;
+      border-bottom: 1px solid #eee;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    .network-log td.url {
+      width: 55%;
+    }
+    .network-log tr.failed {
+      color: #dc3545;
+    }
+    .step.has-errors {
+      box-shadow: 0 0 0 2px #f5c2c7, 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .step-errors {
+      display: inline-block;
+      padding: 2px 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      font-weight: 600;
+      background: #f8d7da;
+      color: #842029;
+    }
+    .console-log {
+      margin: 8px 0;
+      font-size: 12px;
+    }
+    .console-entry {
+      padding: 4px 8px;
+      margin-top: 4px;
+      border-radius: 4px;
+      font-family: monospace;
+      word-break: break-word;
+    }
+    .console-entry.error,
+    .console-entry.exception,
+    .console-entry.rejection {
+      background: #fdecea;
+      color: #842029;
+    }
+    .console-entry.warn {
+      background: #fff8e1;
+      color: #7a5a00;
+    }
+    .console-level {
+      font-weight: 600;
+      text-transform: uppercase;
+      margin-right: 6px;
+    }
+    .console-source {
+      display: block;
+      color: #6c757d;
+    }
+    .console-entry pre {
+      margin: 4px 0 0 0;
+      white-space: pre-wrap;
+    }
+    kbd {
+      display: inline-block;
+      padding: 1px 6px;
+      border: 1px solid #ccc;
+      border-bottom-width: 2px;
+      border-radius: 4px;
+      background: #f8f9fa;
+      font-family: inherit;
+    }
     .value-entered {
       background: #d4edda;
       color: #155724;
@@ -608,7 +1876,7 @@ function generateHTML(recording) {
 </head>
 <body>
   <div class="header">
-    <h1>${recording.metadata?.title || 'Demo Recording'}</h1>
+    <h1>${escapeHtml(recording.metadata?.title || 'Demo Recording')}</h1>
     ${recording.metadata?.featureDescription ? `
       <p style="margin: 10px 0; color: #666; font-size: 14px; line-height: 1.4;">
         ${recording.metadata.featureDescription}
@@ -617,49 +1885,121 @@ function generateHTML(recording) {
     <div class="meta">
       <strong>URL:</strong> <a href="${recording.url}" target="_blank">${recording.url}</a><br>
       <strong>Duration:</strong> ${Math.round(recording.duration / 1000)}s<br>
-      <strong>Actions:</strong> ${recording.actions.length}<br>
+      <strong>Steps:</strong> ${steps.length} (${recording.actions.length} recorded events)<br>
+      ${countConsoleErrors(consoleEntries) ? `<strong>Console errors:</strong> ${countConsoleErrors(consoleEntries)}<br>` : ''}
       <strong>Recorded:</strong> ${new Date(recording.startTime).toLocaleString()}
     </div>
   </div>
 
   <div class="container">
     <div class="actions-section">
-      <h2 style="margin: 0 0 20px 0; color: #333;">Recorded Actions</h2>
-      ${recording.actions.map((action, index) => {
+      <h2 style="margin: 0 0 20px 0; color: #333;">Steps</h2>
+      ${renderConsoleLog(consoleEntries.filter(entry => entry.step === null), 'Console before the first step')}
+      ${renderNetworkLog(requests.filter(entry => entry.step === null), 'Before the first step')}
+      ${steps.map((step, index) => {
+        const action = step.action;
         const timeSinceStart = ((action.timestamp - recording.startTime) / 1000).toFixed(1);
+        const stepConsole = consoleEntries.filter(entry => entry.step === index);
+        const errors = countConsoleErrors(stepConsole);
         return `
-          <div class="step ${action.type}">
+          <div class="step ${step.type}${errors ? ' has-errors' : ''}">
             <div class="step-header">
               <span class="step-number">Step ${index + 1}</span>
-              <span class="step-type ${action.type}">${action.type}</span>
+              <span class="step-type ${step.type}">${step.type}</span>
+              ${action.tab ? `<span class="step-tab">Tab ${action.tab + 1}</span>` : ''}
+              ${errors ? `<span class="step-errors">${errors} console error${errors === 1 ? '' : 's'}</span>` : ''}
             </div>
             
+            <div class="step-description">${escapeHtml(step.description)}</div>
+            
             ${action.screenshot ? `
-              <div class="screenshot-container" style="margin: 10px 0;">
-                <img src="${action.screenshot}" alt="Step ${index + 1} screenshot" 
-                     style="width: 100%; border: 1px solid #ddd; border-radius: 4px; cursor: pointer;"
-                     onclick="window.open('${action.screenshot}', '_blank')">
+              <div class="${action.screenshotCrop ? 'screenshot-pair' : ''}" style="margin: 10px 0;">
+                <div class="screenshot-container">
+                  <img src="${action.screenshot}" alt="Step ${index + 1} screenshot" 
+                       style="width: 100%; border: 1px solid #ddd; border-radius: 4px; cursor: pointer;"
+                       onclick="window.open('${action.screenshot}', '_blank')">
+                  ${action.type === 'drag' ? renderDragPath(action) : ''}
+                </div>
+                ${action.screenshotCrop ? `
+                  <div class="screenshot-container screenshot-crop">
+                    <img src="${action.screenshotCrop}" alt="Step ${index + 1} close-up" 
+                         style="width: 100%; border: 1px solid #ddd; border-radius: 4px; cursor: pointer;"
+                         onclick="window.open('${action.screenshotCrop}', '_blank')">
+                  </div>
+                ` : ''}
               </div>
             ` : ''}
             
             ${action.element?.selector ? `
               <div class="element-info">
-                ${action.element.selector}
+                ${escapeHtml(action.element.selector)}
+              </div>
+            ` : ''}
+            
+            ${action.frame?.path?.length ? `
+              <div class="frame-path">
+                <strong>Frame:</strong> ${escapeHtml(describeFramePath(action.frame))}
               </div>
             ` : ''}
             
             ${action.element?.text ? `
-              <div><strong>Element:</strong> "${action.element.text.substring(0, 50)}${action.element.text.length > 50 ? '...' : ''}"</div>
+              <div><strong>Element:</strong> "${escapeHtml(action.element.text.substring(0, 50))}${action.element.text.length > 50 ? '...' : ''}"</div>
             ` : ''}
             
             ${action.value ? `
               <div class="value-entered">
-                <strong>Entered:</strong> "${action.value}"
+                <strong>Entered:</strong> "${escapeHtml(action.value)}"
               </div>
             ` : ''}
             
+            ${action.type === 'navigate' ? `
+              <div>Navigated to: <a href="${escapeHtml(action.url)}">${escapeHtml(action.url)}</a> (${action.navigationKind === 'load' ? action.transitionType : action.navigationKind})</div>
+            ` : ''}
+            
+            ${action.html ? `
+              <details class="editable-snippet">
+                <summary>Editor content${action.htmlTruncated ? ' (truncated)' : ''}</summary>
+                <pre>${escapeHtml(action.html)}</pre>
+              </details>
+            ` : ''}
+            
+            ${action.type === 'keypress' ? `
+              <div>Press <kbd>${escapeHtml(keyLabel(action))}</kbd></div>
+            ` : ''}
+            
+            ${action.type === 'format' ? `
+              <div><strong>Format:</strong> ${escapeHtml(describeFormat(action))}</div>
+            ` : ''}
+            
+            ${action.type === 'drag' ? `
+              <div><strong>Drag:</strong> ${escapeHtml(describeDrag(action))}</div>
+            ` : ''}
+            
+            ${action.type === 'assert' ? `
+              <div class="assertion"><strong>Check:</strong> ${escapeHtml(describeAssertion(action))}</div>
+            ` : ''}
+            
             ${action.type === 'scroll' ? `
-              <div>Scrolled to: ${action.viewport.scrollX}, ${action.viewport.scrollY}</div>
+              <div>Scrolled ${action.element ? `"${escapeHtml(accessibleName(action.element) || action.element.selector)}" ` : ''}to: ${scrollPosition(action)}</div>
+            ` : ''}
+            
+            ${renderConsoleLog(stepConsole, 'Console')}
+            
+            ${renderNetworkLog(requests.filter(entry => entry.step === index), 'Network')}
+            
+            ${step.actions.length > 1 ? `
+              <details class="raw-events">
+                <summary>Raw events (${step.actions.length})</summary>
+                <ol>
+                  ${step.actions.map(event => `
+                    <li>
+                      ${event.type}${event.type === 'keypress' ? ` ${escapeHtml(keyLabel(event))}` : ''}
+                      ${event.value ? ` "${escapeHtml(event.value)}"` : ''}
+                      <span class="raw-event-time">(+${((event.timestamp - recording.startTime) / 1000).toFixed(1)}s)</span>
+                    </li>
+                  `).join('')}
+                </ol>
+              </details>
             ` : ''}
             
             <div class="timestamp">
@@ -676,19 +2016,103 @@ function generateHTML(recording) {
 </html>`;
 }
 
-chrome.tabs.onRemoved.addListener((tabId) => {
-  if (recordingManager.isRecording(tabId)) {
-    recordingManager.stopRecording(tabId);
+// Page loads, pushState route changes and fragment changes in the top frame
+// of a recorded tab become navigate steps
+function recordNavigation(navigationKind) {
+  return async (details) => {
+    if (details.frameId !== 0) return;
+
+    await recordingManager.ready;
+    recordingManager.addAction(details.tabId, {
+      type: 'navigate',
+      timestamp: Math.round(details.timeStamp),
+      url: details.url,
+      navigationKind,
+      transitionType: details.transitionType,
+      transitionQualifiers: details.transitionQualifiers || []
+    });
+  };
+}
+
+chrome.webNavigation.onCommitted.addListener(recordNavigation('load'));
+chrome.webNavigation.onHistoryStateUpdated.addListener(recordNavigation('history'));
+chrome.webNavigation.onReferenceFragmentUpdated.addListener(recordNavigation('fragment'));
+
+// Session storage does not outlive the browser, so actions written by
+// sessions that were never saved can be dropped on startup. Stopped
+// recordings waiting for the popup to save them keep their data.
+chrome.runtime.onStartup.addListener(async () => {
+  try {
+    const local = await chrome.storage.local.get(null);
+    const pendingIds = Object.keys(local)
+      .filter(key => key.startsWith('pendingRecording_'))
+      .map(key => local[key]?.id);
+    await recordingStore.pruneOrphans(pendingIds);
+  } catch (error) {
+    console.error('Failed to remove unsaved recording data:', error);
   }
 });
 
-chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
-  if (changeInfo.status === 'complete' && recordingManager.isRecording(tabId)) {
-    setTimeout(() => {
-      chrome.tabs.sendMessage(tabId, {
-        action: 'startRecording',
-        sessionId: recordingManager.getSession(tabId)?.id
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: ASSERTION_MENU_ID,
+      title: 'Add assertion',
+      contexts: ['all'],
+      visible: recordingManager.sessions.size > 0
+    });
+    for (const [assertion, title] of Object.entries(ASSERTION_MENU_ITEMS)) {
+      chrome.contextMenus.create({
+        id: `${ASSERTION_MENU_ID}-${assertion}`,
+        parentId: ASSERTION_MENU_ID,
+        title,
+        contexts: ['all']
       });
-    }, 500);
+    }
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const assertion = String(info.menuItemId).replace(`${ASSERTION_MENU_ID}-`, '');
+  if (!tab || !ASSERTION_MENU_ITEMS[assertion]) return;
+
+  // The URL is checked on the top-level page whichever frame was clicked
+  chrome.tabs.sendMessage(tab.id, { action: 'addAssertion', assertion }, { frameId: assertion === 'url' ? 0 : (info.frameId || 0) })
+    .catch(() => {});
+});
+
+chrome.webNavigation.onCreatedNavigationTarget.addListener((details) => {
+  recordingManager.followTab(details.sourceTabId, details.tabId, details.url);
+  replayManager.noteOpenedTab(details.sourceTabId, details.tabId);
+});
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  recordingManager.activateTab(tabId);
+});
+
+// Moving between a popup window and the main window does not change the
+// active tab of either, only the focused window
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+
+  const [tab] = await chrome.tabs.query({ active: true, windowId });
+  if (tab) {
+    recordingManager.activateTab(tab.id);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  recordingManager.closeTab(tabId);
+  // The popup picks stopped recordings up by tab, so one left for a closed
+  // tab would never be saved
+  const pendingKey = `pendingRecording_${tabId}`;
+  chrome.storage.local.get(pendingKey).then(async (result) => {
+    if (!result[pendingKey]) return;
+    await chrome.storage.local.remove(pendingKey);
+    await discardRecording(result[pendingKey].id);
+  });
+  if (replayManager.getStatus(tabId)) {
+    replayManager.stopReplay(tabId);
+    replayManager.sessions.delete(tabId);
   }
 });
\ No newline at end of file
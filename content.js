@@ -1,5 +1,45 @@
 class ElementSelector {
+  // Events from inside open shadow roots are retargeted to the shadow host;
+  // the composed path still starts at the element that was actually used.
+  static getEventTarget(event) {
+    const [target] = event.composedPath ? event.composedPath() : [];
+    return target?.nodeType === Node.ELEMENT_NODE ? target : event.target;
+  }
+
+  // The outermost contenteditable element around element, which is what
+  // rich-text editors listen on, or null outside editable content
+  static getEditingHost(element) {
+    if (!element?.isContentEditable) return null;
+
+    let host = element;
+    while (host.parentElement?.isContentEditable) {
+      host = host.parentElement;
+    }
+    return host;
+  }
+
+  // Selectors for elements inside shadow roots pierce each open root on the
+  // way, e.g. "sl-dialog >>> sl-button#save >>> button"
   static getSelector(element) {
+    return this.getShadowPath(element).join(' >>> ');
+  }
+
+  // One selector per tree scope, from the document down through every shadow
+  // root that contains the element
+  static getShadowPath(element) {
+    const path = [];
+    let current = element;
+
+    while (current) {
+      const root = current.getRootNode();
+      path.unshift(this.getScopedSelector(current, root));
+      current = root instanceof ShadowRoot ? root.host : null;
+    }
+
+    return path;
+  }
+
+  static getScopedSelector(element, root = document) {
     if (element.id) {
       return `#${element.id}`;
     }
@@ -18,7 +58,7 @@ class ElementSelector {
     
     if (className) {
       const selector = `${element.tagName.toLowerCase()}.${className}`;
-      if (document.querySelectorAll(selector).length === 1) {
+      if (root.querySelectorAll(selector).length === 1) {
         return selector;
       }
     }
@@ -64,14 +104,27 @@ class ElementSelector {
     return null;
   }
 
+  // The visible label a form field is known by, for describing steps
+  static getLabel(element) {
+    const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/)
+      .map(id => id && element.getRootNode().getElementById?.(id)?.textContent)
+      .filter(Boolean);
+    const labels = labelledBy.length > 0 ? labelledBy : Array.from(element.labels || []).map(label => label.textContent);
+    const text = labels.join(' ').replace(/\s+/g, ' ').trim().substring(0, 100);
+    return text ? redactor.maskText(text) : null;
+  }
+
   static getElementInfo(element) {
     const rect = element.getBoundingClientRect();
+    const shadowPath = this.getShadowPath(element);
     
     return {
-      selector: this.getSelector(element),
+      selector: shadowPath.join(' >>> '),
+      shadowPath: shadowPath.length > 1 ? shadowPath : null,
       xpath: this.getXPath(element),
-      text: element.innerText?.substring(0, 100) || element.value || element.placeholder || '',
+      text: redactor.elementText(element.innerText?.substring(0, 100) || element.value || element.placeholder || '', element),
       tag: element.tagName,
+      label: this.getLabel(element),
       attributes: {
         id: element.id || null,
         class: element.className || null,
@@ -91,6 +144,536 @@ class ElementSelector {
   }
 }
 
+// Content scripts run in every frame. A frame cannot see its own <iframe>
+// element across origins, so it asks the content script in its parent frame
+// over postMessage, one level at a time up to the top document.
+class FrameLocator {
+  static async resolve() {
+    if (window === window.top) {
+      return { path: [], offset: { x: 0, y: 0 } };
+    }
+
+    const parent = await this.requestFromParent();
+    if (!parent) return null;
+
+    return {
+      path: [...parent.path, {
+        selector: parent.selector,
+        xpath: parent.xpath,
+        name: window.name || null,
+        url: window.location.href
+      }],
+      offset: parent.offset
+    };
+  }
+
+  static requestFromParent(timeout = 500) {
+    return new Promise((resolve) => {
+      const requestId = crypto.randomUUID();
+      let timer;
+
+      const listener = (event) => {
+        if (event.source === window.parent &&
+            event.data?.demoRecorder === 'frameInfo' &&
+            event.data.requestId === requestId) {
+          finish(event.data.frame);
+        }
+      };
+      const finish = (frame) => {
+        clearTimeout(timer);
+        window.removeEventListener('message', listener);
+        resolve(frame);
+      };
+
+      timer = setTimeout(() => finish(null), timeout);
+      window.addEventListener('message', listener);
+      window.parent.postMessage({ demoRecorder: 'frameInfoRequest', requestId }, '*');
+    });
+  }
+
+  // Tells a child frame which <iframe> element it is loaded in and where that
+  // element sits in the top-level viewport. The reply goes to the origin that
+  // asked, in case the frame has navigated since; the top-level URL is never
+  // sent, as the frame may be a third-party widget.
+  static async handleRequest(event) {
+    if (event.data?.demoRecorder !== 'frameInfoRequest' || !event.source) return;
+
+    const iframe = Array.from(document.querySelectorAll('iframe, frame'))
+      .find(element => element.contentWindow === event.source);
+    if (!iframe) return;
+
+    const own = await this.resolve();
+    if (!own) return;
+
+    const rect = iframe.getBoundingClientRect();
+    // Sandboxed frames have an opaque origin, which cannot be targeted
+    const targetOrigin = event.origin === 'null' ? '*' : event.origin;
+    event.source.postMessage({
+      demoRecorder: 'frameInfo',
+      requestId: event.data.requestId,
+      frame: {
+        path: own.path,
+        offset: {
+          x: Math.round(own.offset.x + rect.left + iframe.clientLeft),
+          y: Math.round(own.offset.y + rect.top + iframe.clientTop)
+        },
+        selector: ElementSelector.getSelector(iframe),
+        xpath: ElementSelector.getXPath(iframe)
+      }
+    }, targetOrigin);
+  }
+}
+
+const EMAIL_PATTERN = /([a-zA-Z0-9._%+-]+)@([a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g;
+
+// The privacy settings as they apply to this page: elements whose content is
+// masked or left out of the recording, field names and text patterns that are
+// masked, and where all of that is in the viewport for screenshots to hide
+class Redactor {
+  constructor() {
+    this.configure();
+  }
+
+  configure(privacy = {}) {
+    const selectorFor = rules => (rules || [])
+      .filter(rule => Redactor.matchesDomain(rule.domain, window.location.hostname) && Redactor.isValidSelector(rule.selector))
+      .map(rule => rule.selector)
+      .join(', ');
+
+    this.sensitiveFields = (privacy.sensitiveFields || []).map(field => field.toLowerCase());
+    this.redactSelector = selectorFor(privacy.redactSelectors);
+    this.ignoreSelector = selectorFor(privacy.ignoreSelectors);
+    this.patterns = [EMAIL_PATTERN];
+    for (const source of privacy.patterns || []) {
+      try {
+        this.patterns.push(new RegExp(source, 'g'));
+      } catch (error) {
+        console.log('Skipping invalid redaction pattern:', source);
+      }
+    }
+  }
+
+  static matchesDomain(domain, hostname) {
+    return !domain || hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+
+  static isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  isIgnored(element) {
+    return !!this.ignoreSelector && !!element.closest?.(this.ignoreSelector);
+  }
+
+  isRedacted(element) {
+    return !!this.redactSelector && !!element.closest?.(this.redactSelector);
+  }
+
+  isSensitiveField(element) {
+    if (element.type === 'password') return true;
+
+    const className = typeof element.className === 'string' ? element.className : '';
+    const fieldName = `${element.name || ''}${element.id || ''}${className}`.toLowerCase();
+    return this.sensitiveFields.some(field => fieldName.includes(field));
+  }
+
+  // Values of sensitive fields and redacted elements are masked entirely
+  maskValue(value, element) {
+    if (this.isSensitiveField(element) || this.isRedacted(element)) {
+      return '*'.repeat(value.length);
+    }
+    return this.maskText(value);
+  }
+
+  // E-mail addresses keep their first letter and domain; other matches are
+  // masked entirely
+  maskText(text) {
+    return this.patterns.reduce((masked, pattern) => masked.replace(pattern, (match, local, domain) =>
+      pattern === EMAIL_PATTERN ? `${local.charAt(0)}***@${domain}` : '*'.repeat(match.length)
+    ), text);
+  }
+
+  // Element text is kept for finding the element again, so redacted elements
+  // have none rather than a masked one
+  elementText(text, element) {
+    if (this.isSensitiveField(element) || this.isRedacted(element)) return '';
+    return this.maskText(text);
+  }
+
+  // Rectangles to hide in a screenshot, in this frame's viewport
+  viewportRegions() {
+    const regions = [];
+    const add = (rect) => {
+      if (rect.width > 0 && rect.height > 0 && rect.bottom > 0 && rect.right > 0 &&
+          rect.top < window.innerHeight && rect.left < window.innerWidth) {
+        regions.push({ x: rect.left, y: rect.top, width: rect.width, height: rect.height });
+      }
+    };
+
+    const selector = [this.redactSelector, this.ignoreSelector].filter(Boolean).join(', ');
+    if (selector) {
+      document.querySelectorAll(selector).forEach(element => add(element.getBoundingClientRect()));
+    }
+
+    // Password fields only show dots
+    for (const field of document.querySelectorAll('input:not([type="password"]), textarea')) {
+      if (field.value && (this.isSensitiveField(field) || this.maskText(field.value) !== field.value)) {
+        add(field.getBoundingClientRect());
+      }
+    }
+
+    if (document.body) {
+      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+      const range = document.createRange();
+      while (walker.nextNode()) {
+        const node = walker.currentNode;
+        for (const pattern of this.patterns) {
+          for (const match of node.data.matchAll(pattern)) {
+            if (!match[0]) continue;
+            range.setStart(node, match.index);
+            range.setEnd(node, match.index + match[0].length);
+            Array.from(range.getClientRects()).forEach(add);
+          }
+        }
+      }
+    }
+
+    return regions;
+  }
+
+  // The regions moved into the top-level viewport, which is what the
+  // screenshot shows, together with that viewport's size
+  async screenshotRegions() {
+    const frame = await FrameLocator.resolve();
+    if (!frame) return null;
+
+    return {
+      regions: this.viewportRegions().map(region => ({
+        ...region,
+        x: region.x + frame.offset.x,
+        y: region.y + frame.offset.y
+      })),
+      viewport: window === window.top ? { width: window.innerWidth, height: window.innerHeight } : null
+    };
+  }
+}
+
+const redactor = new Redactor();
+
+// Waited for after each scroll of a full-page screenshot, for lazy-loaded
+// content and scroll-driven styles
+const PAGE_CAPTURE_SETTLE_DELAY = 150;
+
+// Scrolls the top-level page one viewport at a time while the background
+// stitches a full-page screenshot, then puts it back. Fixed and sticky
+// elements are hidden after the first slice so they show up only once.
+class PageCapture {
+  constructor() {
+    this.active = false;
+    this.origin = null;
+    this.hidden = [];
+  }
+
+  begin() {
+    this.active = true;
+    this.origin = { x: window.scrollX, y: window.scrollY };
+    const root = document.scrollingElement || document.documentElement;
+    return {
+      scrollY: window.scrollY,
+      width: window.innerWidth,
+      height: window.innerHeight,
+      pageHeight: Math.max(root.scrollHeight, window.innerHeight),
+      devicePixelRatio: window.devicePixelRatio || 1
+    };
+  }
+
+  async scrollTo(y) {
+    if (y > 0 && this.hidden.length === 0) {
+      this.hideFixedElements();
+    }
+    window.scrollTo({ left: this.origin.x, top: y, behavior: 'instant' });
+    await this.settle();
+    return window.scrollY;
+  }
+
+  async end() {
+    for (const { element, value, priority } of this.hidden) {
+      element.style.setProperty('visibility', value, priority);
+    }
+    this.hidden = [];
+    window.scrollTo({ left: this.origin.x, top: this.origin.y, behavior: 'instant' });
+    // The scroll events of putting the page back arrive before recording resumes
+    await this.settle();
+    this.active = false;
+  }
+
+  settle() {
+    return new Promise(resolve => {
+      requestAnimationFrame(() => requestAnimationFrame(() => setTimeout(resolve, PAGE_CAPTURE_SETTLE_DELAY)));
+    });
+  }
+
+  hideFixedElements() {
+    for (const element of document.body.querySelectorAll('*')) {
+      const { position } = getComputedStyle(element);
+      if (position !== 'fixed' && position !== 'sticky') continue;
+
+      this.hidden.push({
+        element,
+        value: element.style.getPropertyValue('visibility'),
+        priority: element.style.getPropertyPriority('visibility')
+      });
+      element.style.setProperty('visibility', 'hidden', 'important');
+    }
+  }
+}
+
+const pageCapture = new PageCapture();
+
+// Snapshots larger than this are skipped rather than slowing every step down
+const SNAPSHOT_MAX_LENGTH = 5 * 1024 * 1024;
+// Attributes whose text is masked like element text
+const SNAPSHOT_TEXT_ATTRIBUTES = ['title', 'alt', 'placeholder', 'aria-label'];
+
+// A copy of the document as it was at a step, for inspecting offline. Styles
+// are inlined, nothing in it can run, and text and form values are masked
+// the way recorded values are.
+class DomSnapshot {
+  static capture() {
+    const root = document.documentElement;
+    const clone = root.cloneNode(true);
+    // Both lists are in document order, so an element and its copy share an index
+    const originals = root.querySelectorAll('*');
+    const copies = clone.querySelectorAll('*');
+    const removed = [];
+
+    originals.forEach((element, index) => {
+      const copy = copies[index];
+      if (redactor.isIgnored(element)) {
+        copy.replaceChildren();
+        copy.setAttribute('data-demo-recorder-ignored', '');
+        return;
+      }
+
+      // localName, unlike tagName, is lowercase in SVG and MathML too, so an
+      // SVG <script> is removed like an HTML one
+      switch (element.localName) {
+        case 'script':
+        case 'noscript':
+        case 'base':
+          removed.push(copy);
+          return;
+        case 'style':
+        case 'link':
+          DomSnapshot.inlineStylesheet(element, copy);
+          break;
+        case 'iframe':
+        case 'frame':
+        case 'object':
+        case 'embed':
+          ['src', 'srcdoc', 'data'].forEach(name => copy.removeAttribute(name));
+          break;
+        case 'input':
+          if (['checkbox', 'radio'].includes(element.type)) {
+            copy.toggleAttribute('checked', element.checked);
+          } else if (element.type !== 'file') {
+            copy.setAttribute('value', redactor.maskValue(element.value, element));
+          }
+          break;
+        case 'textarea':
+          copy.textContent = redactor.maskValue(element.value, element);
+          break;
+        case 'option':
+          copy.toggleAttribute('selected', element.selected);
+          break;
+      }
+
+      for (const { name, value } of Array.from(copy.attributes)) {
+        if (name.startsWith('on') || /^\s*javascript:/i.test(value)) {
+          copy.removeAttribute(name);
+        } else if (SNAPSHOT_TEXT_ATTRIBUTES.includes(name)) {
+          copy.setAttribute(name, redactor.elementText(value, element));
+        }
+      }
+      if (element.scrollTop || element.scrollLeft) {
+        copy.setAttribute('data-demo-recorder-scroll', `${Math.round(element.scrollLeft)},${Math.round(element.scrollTop)}`);
+      }
+    });
+    removed.forEach(copy => copy.remove());
+
+    DomSnapshot.maskText(clone);
+
+    // Relative URLs keep resolving against the recorded page
+    const head = clone.querySelector('head') || clone.insertBefore(document.createElement('head'), clone.firstChild);
+    const base = document.createElement('base');
+    base.href = document.baseURI;
+    head.prepend(base);
+    for (const sheet of document.adoptedStyleSheets || []) {
+      const style = document.createElement('style');
+      style.textContent = DomSnapshot.stylesheetText(sheet);
+      head.append(style);
+    }
+
+    const html = `<!DOCTYPE html>\n${clone.outerHTML}`;
+    if (html.length > SNAPSHOT_MAX_LENGTH) {
+      console.log('Skipping DOM snapshot of', html.length, 'characters');
+      return null;
+    }
+
+    return {
+      html,
+      url: window.location.href,
+      title: document.title,
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+      scroll: { x: Math.round(window.scrollX), y: Math.round(window.scrollY) }
+    };
+  }
+
+  // Style elements get the rules in effect, which includes ones added through
+  // the CSSOM. Cross-origin stylesheets can't be read and stay links.
+  static inlineStylesheet(element, copy) {
+    if (!element.sheet || (element.localName === 'link' && !/\bstylesheet\b/i.test(element.rel))) return;
+
+    let text;
+    try {
+      text = DomSnapshot.stylesheetText(element.sheet);
+    } catch (error) {
+      if (element.localName === 'link') copy.setAttribute('href', element.href);
+      return;
+    }
+
+    const style = document.createElement('style');
+    if (element.media) style.setAttribute('media', element.media);
+    style.textContent = text;
+    copy.replaceWith(style);
+  }
+
+  // url() references are made absolute, as the stylesheet's own address is gone
+  static stylesheetText(sheet) {
+    const baseUrl = sheet.href || document.baseURI;
+    return Array.from(sheet.cssRules, rule => rule.cssText).join('\n')
+      .replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+        if (/^(data|blob):/i.test(url)) return match;
+        try {
+          return `url("${new URL(url, baseUrl).href}")`;
+        } catch (error) {
+          return match;
+        }
+      });
+  }
+
+  static maskText(clone) {
+    const walker = document.createTreeWalker(clone, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const parent = node.parentElement;
+      if (!parent || ['style', 'textarea'].includes(parent.localName)) continue;
+
+      node.data = redactor.isRedacted(parent)
+        ? node.data.replace(/\S/g, '*')
+        : redactor.maskText(node.data);
+    }
+  }
+}
+
+// beforeinput types of formatting commands, mapped to the execCommand that
+// applies them
+const FORMAT_INPUT_TYPES = {
+  formatBold: 'bold',
+  formatItalic: 'italic',
+  formatUnderline: 'underline',
+  formatStrikeThrough: 'strikeThrough',
+  formatSuperscript: 'superscript',
+  formatSubscript: 'subscript',
+  formatIndent: 'indent',
+  formatOutdent: 'outdent',
+  formatRemove: 'removeFormat',
+  formatJustifyLeft: 'justifyLeft',
+  formatJustifyCenter: 'justifyCenter',
+  formatJustifyRight: 'justifyRight',
+  formatJustifyFull: 'justifyFull',
+  insertOrderedList: 'insertOrderedList',
+  insertUnorderedList: 'insertUnorderedList'
+};
+// Editors such as ProseMirror handle these on keydown, so no beforeinput follows
+const FORMAT_SHORTCUTS = { b: 'bold', i: 'italic', u: 'underline' };
+const EDITABLE_SNIPPET_LENGTH = 2000;
+
+// Typing is recorded by handleInput; keydown records the keys it can't see.
+// Tab, Enter and Escape are recorded whatever the settings say.
+const ALWAYS_RECORDED_KEYS = ['Tab', 'Enter', 'Escape'];
+// Keys that move through menus, lists and grids. In text fields they move the
+// caret or delete text instead, which the input step already covers.
+const NAVIGATION_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown', 'Backspace', 'Delete'];
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'Fn', 'OS'];
+// Select all, clipboard and undo chords only change a field's text
+const TEXT_EDITING_CHORDS = ['a', 'c', 'v', 'x', 'z', 'y'];
+const TEXT_ENTRY_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password', 'number', 'date', 'datetime-local', 'month', 'week', 'time'];
+// A held key repeats its keydown every few dozen milliseconds
+const KEY_REPEAT_TIMEOUT = 500;
+
+// Pointer paths are kept relative to the top-left corner of the dragged
+// element, so they replay the same way wherever the element ends up.
+const DRAG_MIN_DISTANCE = 8;
+const DRAG_PATH_TOLERANCE = 3;
+const DRAG_PATH_MAX_POINTS = 40;
+
+class DragPath {
+  static start(element, event) {
+    const rect = element.getBoundingClientRect();
+    const path = { element, rect, startTime: Date.now(), points: [] };
+    this.add(path, event);
+    return path;
+  }
+
+  static add(path, event) {
+    path.points.push({
+      x: Math.round(event.clientX - path.rect.left),
+      y: Math.round(event.clientY - path.rect.top),
+      t: Date.now() - path.startTime
+    });
+  }
+
+  static distance(path) {
+    const first = path.points[0];
+    return Math.max(...path.points.map(point => Math.hypot(point.x - first.x, point.y - first.y)));
+  }
+
+  // Drops points that lie on a straight line between their neighbours
+  // (Ramer-Douglas-Peucker), then thins out what is left
+  static simplify(points) {
+    const keep = (from, to) => {
+      let furthest = -1;
+      let maxDistance = DRAG_PATH_TOLERANCE;
+      const a = points[from];
+      const b = points[to];
+      const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+
+      for (let i = from + 1; i < to; i++) {
+        const p = points[i];
+        const distance = Math.abs((b.y - a.y) * p.x - (b.x - a.x) * p.y + b.x * a.y - b.y * a.x) / length;
+        if (distance > maxDistance) {
+          maxDistance = distance;
+          furthest = i;
+        }
+      }
+      return furthest < 0 ? [a] : [...keep(from, furthest), ...keep(furthest, to)];
+    };
+
+    if (points.length < 3) return points;
+    const simplified = [...keep(0, points.length - 1), points[points.length - 1]];
+    if (simplified.length <= DRAG_PATH_MAX_POINTS) return simplified;
+
+    const step = (simplified.length - 1) / (DRAG_PATH_MAX_POINTS - 1);
+    return Array.from({ length: DRAG_PATH_MAX_POINTS }, (_, i) => simplified[Math.round(i * step)]);
+  }
+}
+
 class ActionRecorder {
   constructor() {
     this.isRecording = false;
@@ -98,16 +681,33 @@ class ActionRecorder {
     self.sessionId = null;
     this.lastAction = null;
     this.inputBuffer = new Map();
+    // The window or container being scrolled, recorded once it settles
+    this.pendingScroll = null;
     this.listeners = new Map();
+    this.contextTarget = null;
+    // Gestures in progress: a pointer held down, or an HTML5 drag
+    this.pointerDrag = null;
+    this.html5Drag = null;
+    this.lastDragEnd = 0;
+    this.lastFormatShortcut = null;
+    // Keyboard and privacy settings for this recording
+    this.settings = {};
+    // A key that is still held down, recorded once it is released
+    this.pendingKey = null;
   }
 
-  start(sessionId) {
+  start(sessionId, settings) {
     if (this.isRecording) return;
     
     this.isRecording = true;
     this.sessionId = sessionId;
+    this.settings = settings || {};
+    redactor.configure(this.settings.privacy);
     this.attachListeners();
     // this.injectOverlay(); // Disabled overlay
+
+    // Collect console entries page-hooks.js held back until now
+    window.postMessage({ demoRecorder: 'consoleListening' }, '*');
   }
 
   stop() {
@@ -116,8 +716,14 @@ class ActionRecorder {
     this.isRecording = false;
     this.sessionId = null;
     this.detachListeners();
+    // page-hooks.js puts the page's console back
+    window.postMessage({ demoRecorder: 'consoleStopped' }, '*');
     // this.removeOverlay(); // Disabled overlay
     this.inputBuffer.clear();
+    clearTimeout(this.pendingKey?.timeoutId);
+    this.pendingKey = null;
+    clearTimeout(this.pendingScroll?.timeoutId);
+    this.pendingScroll = null;
   }
 
   pause() {
@@ -136,10 +742,21 @@ class ActionRecorder {
       'change': this.handleChange.bind(this),
       'submit': this.handleSubmit.bind(this),
       'keydown': this.handleKeydown.bind(this),
+      'keyup': this.handleKeyup.bind(this),
       'scroll': this.handleScroll.bind(this),
       'mouseover': this.handleMouseover.bind(this),
       'focus': this.handleFocus.bind(this),
-      'blur': this.handleBlur.bind(this)
+      'blur': this.handleBlur.bind(this),
+      'beforeinput': this.handleBeforeInput.bind(this),
+      'contextmenu': this.handleContextMenu.bind(this),
+      'pointerdown': this.handlePointerDown.bind(this),
+      'pointermove': this.handlePointerMove.bind(this),
+      'pointerup': this.handlePointerUp.bind(this),
+      'pointercancel': this.handlePointerCancel.bind(this),
+      'dragstart': this.handleDragStart.bind(this),
+      'dragover': this.handleDragOver.bind(this),
+      'drop': this.handleDrop.bind(this),
+      'dragend': this.handleDragEnd.bind(this)
     };
 
     for (const [event, handler] of Object.entries(events)) {
@@ -161,9 +778,20 @@ class ActionRecorder {
   }
 
   handleClick(event) {
-    const element = event.target;
+    const element = ElementSelector.getEventTarget(event);
     if (this.shouldIgnoreElement(element)) return;
 
+    // Releasing the pointer after a drag also fires a click
+    if (Date.now() - this.lastDragEnd < 100) return;
+
+    // Alt+Shift+click adds a checkpoint instead of clicking
+    if (event.altKey && event.shiftKey && !event.ctrlKey && !event.metaKey) {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      this.addAssertion(this.defaultAssertion(element), element);
+      return;
+    }
+
     const action = {
       type: 'click',
       element: ElementSelector.getElementInfo(element),
@@ -178,13 +806,135 @@ class ActionRecorder {
         shift: event.shiftKey
       }
     };
+    // Clicks from the keyboard have no pointer position
+    if (event.detail > 0) {
+      action.pointer = { x: Math.round(event.pageX), y: Math.round(event.pageY) };
+    }
 
     this.recordAction(action);
     // this.flashElement(element); // Disabled flash effect
   }
 
+  handlePointerDown(event) {
+    if (!event.isPrimary || event.button !== 0) return;
+
+    const element = ElementSelector.getEventTarget(event);
+    if (this.shouldIgnoreElement(element)) return;
+
+    // Dragging a scrollbar is recorded as a scroll
+    if (element.clientWidth && (event.offsetX > element.clientWidth || event.offsetY > element.clientHeight)) return;
+
+    this.pointerDrag = DragPath.start(element, event);
+  }
+
+  handlePointerMove(event) {
+    if (this.pointerDrag && event.isPrimary) {
+      DragPath.add(this.pointerDrag, event);
+    }
+  }
+
+  handlePointerUp(event) {
+    const path = this.pointerDrag;
+    this.pointerDrag = null;
+    if (!path || !event.isPrimary) return;
+
+    DragPath.add(path, event);
+    if (DragPath.distance(path) < DRAG_MIN_DISTANCE) return;
+    // Selecting text is not a drag worth replaying
+    if (!window.getSelection()?.isCollapsed) return;
+
+    const target = this.elementAt(event) || path.element;
+    this.lastDragEnd = Date.now();
+    this.recordDrag('pointer', path, target);
+  }
+
+  handlePointerCancel() {
+    // An HTML5 drag takes over from here, or the browser started scrolling
+    this.pointerDrag = null;
+  }
+
+  handleDragStart(event) {
+    const element = ElementSelector.getEventTarget(event);
+    if (this.shouldIgnoreElement(element)) return;
+
+    this.html5Drag = DragPath.start(element, event);
+    this.pointerDrag = null;
+  }
+
+  handleDragOver(event) {
+    if (this.html5Drag) {
+      DragPath.add(this.html5Drag, event);
+    }
+  }
+
+  handleDrop(event) {
+    const target = ElementSelector.getEventTarget(event);
+    const path = this.html5Drag;
+    this.html5Drag = null;
+
+    if (path) {
+      DragPath.add(path, event);
+      this.recordDrag('html5', path, target);
+      return;
+    }
+
+    // Files dragged in from outside the browser have no source element
+    const files = Array.from(event.dataTransfer?.files || []);
+    if (files.length > 0 && !this.shouldIgnoreElement(target)) {
+      this.recordAction({
+        type: 'drag',
+        dragKind: 'file',
+        element: ElementSelector.getElementInfo(target),
+        target: ElementSelector.getElementInfo(target),
+        files: files.map(file => ({ name: file.name, type: file.type, size: file.size })),
+        path: [],
+        viewport: this.viewportInfo(),
+        origin: null
+      });
+    }
+  }
+
+  handleDragEnd() {
+    // Dropped outside any drop target
+    this.html5Drag = null;
+  }
+
+  recordDrag(dragKind, path, target) {
+    this.recordAction({
+      type: 'drag',
+      dragKind,
+      element: ElementSelector.getElementInfo(path.element),
+      target: ElementSelector.getElementInfo(target),
+      path: DragPath.simplify(path.points),
+      viewport: this.viewportInfo(),
+      // Where the path starts in the viewport, to draw it on the screenshot
+      origin: { x: Math.round(path.rect.left), y: Math.round(path.rect.top) }
+    });
+  }
+
+  // The element under the pointer, looking into open shadow roots. Pointer
+  // capture makes the event target the element the drag started on.
+  elementAt(event) {
+    let element = document.elementFromPoint(event.clientX, event.clientY);
+    while (element?.shadowRoot) {
+      const inner = element.shadowRoot.elementFromPoint(event.clientX, event.clientY);
+      if (!inner || inner === element) break;
+      element = inner;
+    }
+    return element;
+  }
+
+  viewportInfo() {
+    return {
+      scrollX: window.scrollX,
+      scrollY: window.scrollY,
+      width: window.innerWidth,
+      height: window.innerHeight
+    };
+  }
+
   handleDoubleClick(event) {
-    const element = event.target;
+    const element = ElementSelector.getEventTarget(event);
     if (this.shouldIgnoreElement(element)) return;
 
     const action = {
@@ -193,20 +943,27 @@ class ActionRecorder {
       viewport: {
         scrollX: window.scrollX,
         scrollY: window.scrollY
-      }
+      },
+      pointer: { x: Math.round(event.pageX), y: Math.round(event.pageY) }
     };
 
     this.recordAction(action);
   }
 
   handleInput(event) {
-    const element = event.target;
+    const element = ElementSelector.getEventTarget(event);
     if (this.shouldIgnoreElement(element)) return;
 
-    clearTimeout(this.inputBuffer.get(element));
+    // Formatting is recorded as its own step by handleBeforeInput
+    if (FORMAT_INPUT_TYPES[event.inputType]) return;
+
+    const host = ElementSelector.getEditingHost(element);
+    const target = host || element;
+    clearTimeout(this.inputBuffer.get(target)?.timeoutId);
     
-    const timeoutId = setTimeout(() => {
-      const action = {
+    const record = () => {
+      this.inputBuffer.delete(target);
+      const action = host ? this.editableInputAction(host) : {
         type: 'input',
         element: ElementSelector.getElementInfo(element),
         value: this.maskSensitiveData(element.value, element),
@@ -214,22 +971,110 @@ class ActionRecorder {
       };
       
       this.recordAction(action);
-      this.inputBuffer.delete(element);
-    }, 500);
+    };
     
-    this.inputBuffer.set(element, timeoutId);
+    this.inputBuffer.set(target, { timeoutId: setTimeout(record, 500), record });
+  }
+
+  // Records input still waiting for typing to pause right away, so that it
+  // comes before the step that follows it
+  flushInput(target) {
+    const pending = this.inputBuffer.get(target);
+    if (pending) {
+      clearTimeout(pending.timeoutId);
+      pending.record();
+    }
+  }
+
+  editableInputAction(host) {
+    const html = this.editableSnippet(host);
+    const action = {
+      type: 'input',
+      element: this.editableElementInfo(host),
+      value: this.maskSensitiveData(host.innerText || host.textContent || '', host),
+      html: html.substring(0, EDITABLE_SNIPPET_LENGTH),
+      inputType: 'contenteditable'
+    };
+    if (html.length > EDITABLE_SNIPPET_LENGTH) {
+      action.htmlTruncated = true;
+    }
+    return action;
+  }
+
+  // The content changes as the user types, so it is no use for finding the
+  // editor again and would bypass masking
+  editableElementInfo(host) {
+    return { ...ElementSelector.getElementInfo(host), text: '' };
+  }
+
+  // The editor's markup without attributes or embedded content, with its
+  // text masked like any other value
+  editableSnippet(host) {
+    const clone = host.cloneNode(true);
+    const walker = document.createTreeWalker(clone, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    const removed = [];
+
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (node.nodeType === Node.TEXT_NODE) {
+        node.data = this.maskSensitiveData(node.data, host);
+      } else if (['script', 'style', 'iframe', 'object', 'embed', 'svg', 'canvas', 'template'].includes(node.localName)) {
+        removed.push(node);
+      } else {
+        Array.from(node.attributes).forEach(attribute => node.removeAttribute(attribute.name));
+      }
+    }
+    removed.forEach(node => node.remove());
+
+    return clone.innerHTML;
+  }
+
+  handleBeforeInput(event) {
+    const command = FORMAT_INPUT_TYPES[event.inputType];
+    if (!command) return;
+    // Shortcuts were already recorded on keydown
+    if (this.lastFormatShortcut?.command === command && Date.now() - this.lastFormatShortcut.time < 100) return;
+
+    const host = ElementSelector.getEditingHost(ElementSelector.getEventTarget(event));
+    if (host && !this.shouldIgnoreElement(host)) {
+      this.recordFormat(host, command);
+    }
+  }
+
+  recordFormat(host, command, event = null) {
+    this.flushInput(host);
+
+    const selection = window.getSelection()?.toString() || '';
+    const action = {
+      type: 'format',
+      command,
+      element: this.editableElementInfo(host),
+      selection: this.maskSensitiveData(selection.substring(0, 100), host)
+    };
+    if (event) {
+      this.lastFormatShortcut = { command, time: Date.now() };
+      action.key = event.key.toLowerCase();
+      action.modifiers = {
+        alt: event.altKey,
+        ctrl: event.ctrlKey,
+        meta: event.metaKey,
+        shift: event.shiftKey
+      };
+    }
+
+    this.recordAction(action);
   }
 
   handleChange(event) {
-    const element = event.target;
+    const element = ElementSelector.getEventTarget(event);
     if (this.shouldIgnoreElement(element)) return;
 
     if (element.tagName === 'SELECT') {
       const action = {
         type: 'select',
         element: ElementSelector.getElementInfo(element),
-        value: element.value,
-        text: element.options[element.selectedIndex]?.text
+        value: this.maskSensitiveData(element.value, element),
+        text: this.maskSensitiveData(element.options[element.selectedIndex]?.text || '', element)
       };
       
       this.recordAction(action);
@@ -245,7 +1090,7 @@ class ActionRecorder {
   }
 
   handleSubmit(event) {
-    const element = event.target;
+    const element = ElementSelector.getEventTarget(event);
     if (this.shouldIgnoreElement(element)) return;
 
     const action = {
@@ -258,46 +1103,172 @@ class ActionRecorder {
   }
 
   handleKeydown(event) {
-    if (event.key === 'Tab' || event.key === 'Enter' || event.key === 'Escape') {
-      const action = {
-        type: 'keypress',
-        key: event.key,
-        code: event.code,
-        element: ElementSelector.getElementInfo(event.target),
-        modifiers: {
-          alt: event.altKey,
-          ctrl: event.ctrlKey,
-          meta: event.metaKey,
-          shift: event.shiftKey
-        }
-      };
-      
+    if (event.isComposing || MODIFIER_KEYS.includes(event.key)) return;
+
+    // Repeats of a held key add to the step it started
+    if (event.repeat) {
+      if (this.pendingKey?.code === event.code) {
+        this.pendingKey.action.count = (this.pendingKey.action.count || 1) + 1;
+        this.holdKey(this.pendingKey);
+      }
+      return;
+    }
+
+    const target = ElementSelector.getEventTarget(event);
+    if (this.shouldIgnoreElement(target)) return;
+    const host = ElementSelector.getEditingHost(target);
+
+    const shortcut = FORMAT_SHORTCUTS[event.key?.toLowerCase()];
+    if (host && shortcut && (event.ctrlKey || event.metaKey) && !event.altKey && !event.shiftKey) {
+      this.recordFormat(host, shortcut, event);
+      return;
+    }
+
+    if (!this.isRecordedKey(event, host || target)) return;
+
+    // Whatever was typed before the key belongs in an earlier step
+    this.flushKey();
+    this.flushInput(host || target);
+
+    const action = {
+      type: 'keypress',
+      key: event.key,
+      code: event.code,
+      element: host ? this.editableElementInfo(host) : ElementSelector.getElementInfo(target),
+      modifiers: {
+        alt: event.altKey,
+        ctrl: event.ctrlKey,
+        meta: event.metaKey,
+        shift: event.shiftKey
+      }
+    };
+
+    // Enter often submits a form, and the page can be gone before it is released
+    if (event.key === 'Enter') {
       if (!this.isDuplicateAction(action)) {
         this.recordAction(action);
       }
+      return;
     }
+
+    this.pendingKey = { code: event.code, action };
+    this.holdKey(this.pendingKey);
+  }
+
+  handleKeyup(event) {
+    if (this.pendingKey?.code === event.code) {
+      this.flushKey();
+    }
+  }
+
+  // Waits for the next repeat, giving up if the keyup was never seen (such
+  // as when focus moved to another window)
+  holdKey(pending) {
+    clearTimeout(pending.timeoutId);
+    pending.timeoutId = setTimeout(() => this.flushKey(), KEY_REPEAT_TIMEOUT);
+  }
+
+  flushKey() {
+    const pending = this.pendingKey;
+    if (!pending) return;
+
+    clearTimeout(pending.timeoutId);
+    this.pendingKey = null;
+    this.recordAction(pending.action);
+  }
+
+  // Plain typing is left to handleInput. Chords, function keys and
+  // navigation keys are recorded as configured, except where they only edit
+  // the text of a field.
+  isRecordedKey(event, element) {
+    if (ALWAYS_RECORDED_KEYS.includes(event.key)) return true;
+    const keyboard = this.settings.keyboard;
+    if (!keyboard) return false;
+
+    const textEntry = this.isTextEntry(element);
+    const key = event.key.toLowerCase();
+
+    // AltGr reports Ctrl and Alt on Windows while typing a character
+    const chord = (event.ctrlKey || event.metaKey || (event.altKey && !textEntry)) &&
+      !event.getModifierState?.('AltGraph');
+    if (chord) {
+      return keyboard.shortcuts &&
+        !(textEntry && (TEXT_EDITING_CHORDS.includes(key) || NAVIGATION_KEYS.includes(event.key)));
+    }
+
+    if (/^F\d{1,2}$/.test(event.key)) {
+      return keyboard.shortcuts;
+    }
+
+    if (NAVIGATION_KEYS.includes(event.key)) {
+      // Autocomplete fields move through their suggestions with the arrows
+      const suggestion = (event.key === 'ArrowUp' || event.key === 'ArrowDown') && this.isCombobox(element);
+      return keyboard.navigation && (!textEntry || suggestion);
+    }
+
+    return false;
+  }
+
+  // Elements where keys type or pick a value. Selects are included because
+  // their change event records the option the arrows landed on.
+  isTextEntry(element) {
+    if (ElementSelector.getEditingHost(element)) return true;
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+    return element.tagName === 'INPUT' && TEXT_ENTRY_TYPES.includes(element.type);
+  }
+
+  isCombobox(element) {
+    return element.getAttribute('role') === 'combobox' ||
+      element.hasAttribute('aria-activedescendant') ||
+      !!element.list;
   }
 
+  // The capture listener also hears scrolling inside sidebars, dialogs and
+  // grids. Those are recorded with the container and its own offsets.
   handleScroll(event) {
-    clearTimeout(this.scrollTimeout);
-    
-    this.scrollTimeout = setTimeout(() => {
-      const action = {
-        type: 'scroll',
-        viewport: {
-          scrollX: window.scrollX,
-          scrollY: window.scrollY,
-          width: window.innerWidth,
-          height: window.innerHeight
-        }
-      };
-      
-      this.recordAction(action);
-    }, 200);
+    // Full-page screenshots scroll the page themselves
+    if (pageCapture.active) return;
+
+    const target = ElementSelector.getEventTarget(event);
+    const container = target.nodeType === Node.ELEMENT_NODE && target !== document.scrollingElement ? target : null;
+    if (container && this.shouldIgnoreElement(container)) return;
+
+    // Scrolling somewhere else ends the scroll that was still settling
+    if (this.pendingScroll && this.pendingScroll.container !== container) {
+      this.flushScroll();
+    }
+    clearTimeout(this.pendingScroll?.timeoutId);
+    this.pendingScroll = { container, timeoutId: setTimeout(() => this.flushScroll(), 200) };
+  }
+
+  flushScroll() {
+    const pending = this.pendingScroll;
+    if (!pending) return;
+
+    clearTimeout(pending.timeoutId);
+    this.pendingScroll = null;
+
+    const action = {
+      type: 'scroll',
+      viewport: {
+        scrollX: window.scrollX,
+        scrollY: window.scrollY,
+        width: window.innerWidth,
+        height: window.innerHeight
+      }
+    };
+    if (pending.container) {
+      action.element = ElementSelector.getElementInfo(pending.container);
+      action.scrollLeft = Math.round(pending.container.scrollLeft);
+      action.scrollTop = Math.round(pending.container.scrollTop);
+    }
+
+    this.recordAction(action);
   }
 
   handleMouseover(event) {
-    const element = event.target;
+    const element = ElementSelector.getEventTarget(event);
+    if (this.shouldIgnoreElement(element)) return;
     
     if (element.hasAttribute('title') || element.hasAttribute('data-tooltip')) {
       setTimeout(() => {
@@ -306,7 +1277,7 @@ class ActionRecorder {
           const action = {
             type: 'hover',
             element: ElementSelector.getElementInfo(element),
-            tooltip: tooltip.innerText
+            tooltip: redactor.elementText(tooltip.innerText, tooltip)
           };
           
           this.recordAction(action);
@@ -316,7 +1287,7 @@ class ActionRecorder {
   }
 
   handleFocus(event) {
-    const element = event.target;
+    const element = ElementSelector.getEventTarget(event);
     if (this.shouldIgnoreElement(element)) return;
 
     const action = {
@@ -328,7 +1299,7 @@ class ActionRecorder {
   }
 
   handleBlur(event) {
-    const element = event.target;
+    const element = ElementSelector.getEventTarget(event);
     if (this.shouldIgnoreElement(element)) return;
 
     const action = {
@@ -339,14 +1310,112 @@ class ActionRecorder {
     this.recordAction(action);
   }
 
+  // Remembers what was right-clicked for the "Add assertion" context menu
+  handleContextMenu(event) {
+    this.contextTarget = ElementSelector.getEventTarget(event);
+  }
+
+  defaultAssertion(element) {
+    if (element.matches('input:not([type=checkbox], [type=radio], [type=button], [type=submit]), textarea, select')) {
+      return 'value';
+    }
+    const text = (element.innerText || '').trim();
+    return text && text.length <= 200 ? 'text' : 'visible';
+  }
+
+  addAssertion(assertion, element = this.contextTarget) {
+    if (assertion === 'url') {
+      // Query and fragment usually carry state that changes between runs
+      const url = new URL(window.location.href);
+      const escaped = (url.origin + url.pathname).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      this.recordAction({
+        type: 'assert',
+        assertion,
+        expected: url.href,
+        pattern: `^${escaped}(?:[?#].*)?$`
+      });
+      return;
+    }
+
+    if (!element || this.shouldIgnoreElement(element)) return;
+
+    if (assertion === 'value' && !('value' in element)) {
+      assertion = 'text';
+    }
+    // Masked values can't be compared on replay
+    const text = (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 200);
+    if ((assertion === 'value' && this.maskSensitiveData(element.value, element) !== element.value) ||
+        (assertion === 'text' && this.maskSensitiveData(text, element) !== text)) {
+      assertion = 'visible';
+    }
+
+    const action = {
+      type: 'assert',
+      assertion,
+      element: ElementSelector.getElementInfo(element)
+    };
+    if (assertion === 'text') {
+      action.expected = text;
+    } else if (assertion === 'value') {
+      action.expected = element.value;
+    }
+
+    this.recordAction(action);
+  }
+
+  // Console output reported by page-hooks.js. The page can post the same
+  // message, so only known fields are passed on.
+  relayConsoleEntry(event) {
+    if (event.source !== window || event.data?.demoRecorder !== 'consoleEntry' || this.isPaused) return;
+
+    const entry = event.data.entry || {};
+    chrome.runtime.sendMessage({
+      action: 'recordConsoleEntry',
+      entry: {
+        level: ['error', 'warn', 'exception', 'rejection'].includes(entry.level) ? entry.level : 'error',
+        message: redactor.maskText(String(entry.message || '').substring(0, 2000)),
+        stack: typeof entry.stack === 'string' ? redactor.maskText(entry.stack.substring(0, 4000)) : null,
+        source: typeof entry.source === 'string' ? entry.source : null,
+        line: Number.isInteger(entry.line) ? entry.line : null,
+        column: Number.isInteger(entry.column) ? entry.column : null,
+        timestamp: Number.isFinite(entry.timestamp) ? entry.timestamp : Date.now(),
+        url: window.location.href
+      }
+    });
+  }
+
   async recordAction(action) {
+    // Actions reach the background after their screenshot, which can be
+    // later than navigations they caused
+    action.timestamp = Date.now();
+
+    // Remember where the action happened so exports can tell when it
+    // navigated. Actions inside an iframe carry the chain of frames leading
+    // to them, and get the top-level page URL from the background.
+    const frame = await FrameLocator.resolve();
+    if (window === window.top) {
+      action.url = window.location.href;
+    }
+    if (frame?.path.length) {
+      action.frame = { path: frame.path, offset: frame.offset };
+    }
+
     // Wait for action to complete and page to stabilize before screenshot
     await this.waitForPageStabilization(action);
+
+    if (this.settings.snapshots?.enabled) {
+      try {
+        const snapshot = DomSnapshot.capture();
+        if (snapshot) action.snapshot = snapshot;
+      } catch (error) {
+        console.log('Could not capture DOM snapshot:', error);
+      }
+    }
     
     // Capture screenshot for this action
     try {
-      const screenshot = await this.captureVisibleArea();
-      action.screenshot = screenshot;
+      const screenshots = await this.captureScreenshot(this.screenshotAnnotation(action, frame));
+      Object.assign(action, screenshots);
     } catch (error) {
       console.log('Could not capture screenshot:', error);
     }
@@ -361,8 +1430,8 @@ class ActionRecorder {
   
   async waitForPageStabilization(action) {
     // Different wait strategies based on action type
-    if (action.type === 'click' || action.type === 'submit') {
-      // For clicks and submits, wait for DOM changes and network
+    if (action.type === 'click' || action.type === 'submit' || action.type === 'drag' || action.type === 'keypress') {
+      // For clicks, submits and shortcuts, wait for DOM changes and network
       await this.waitForDOMStability();
       await this.waitForNetworkIdle(1000);
     } else if (action.type === 'input' || action.type === 'change') {
@@ -434,80 +1503,48 @@ class ActionRecorder {
   }
   
   async waitForNetworkIdle(maxWaitTime = 1500) {
+    // The background tracks this tab's requests through webRequest, which also
+    // sees documents, images and requests from other frames
     return new Promise((resolve) => {
-      let pendingRequests = 0;
-      let idleTimer;
-      const startTime = Date.now();
-      
-      // Function to check if we should resolve
-      const checkIdle = () => {
-        if (pendingRequests === 0) {
-          // Network is idle, wait a bit more to ensure page rendering
-          clearTimeout(idleTimer);
-          idleTimer = setTimeout(() => resolve(), 300);
-        }
-      };
-      
-      // Monitor fetch requests
-      const originalFetch = window.fetch;
-      window.fetch = async (...args) => {
-        pendingRequests++;
-        try {
-          const result = await originalFetch(...args);
-          return result;
-        } finally {
-          pendingRequests--;
-          checkIdle();
-        }
-      };
-      
-      // Monitor XMLHttpRequests
-      const XHROpen = XMLHttpRequest.prototype.open;
-      const XHRSend = XMLHttpRequest.prototype.send;
-      
-      XMLHttpRequest.prototype.open = function(...args) {
-        this._monitored = true;
-        return XHROpen.apply(this, args);
-      };
-      
-      XMLHttpRequest.prototype.send = function(...args) {
-        if (this._monitored) {
-          pendingRequests++;
-          
-          const cleanup = () => {
-            pendingRequests--;
-            checkIdle();
-          };
-          
-          this.addEventListener('load', cleanup);
-          this.addEventListener('error', cleanup);
-          this.addEventListener('abort', cleanup);
-        }
-        return XHRSend.apply(this, args);
-      };
-      
-      // Timeout fallback
-      setTimeout(() => {
-        // Restore original functions
-        window.fetch = originalFetch;
-        XMLHttpRequest.prototype.open = XHROpen;
-        XMLHttpRequest.prototype.send = XHRSend;
+      chrome.runtime.sendMessage({
+        action: 'waitForNetworkIdle',
+        timeout: maxWaitTime
+      }, () => {
+        void chrome.runtime.lastError;
         resolve();
-      }, maxWaitTime);
-      
-      // Initial check
-      checkIdle();
+      });
     });
   }
   
-  async captureVisibleArea() {
-    // Send message to background to capture visible tab
+  // Where the step happened, in the top-level viewport the screenshot shows.
+  // Positions are stored relative to the page, so scrolling while the page
+  // settled is accounted for.
+  screenshotAnnotation(action, frame) {
+    const offset = frame?.offset || { x: 0, y: 0 };
+    const toViewport = (x, y) => ({ x: x - window.scrollX + offset.x, y: y - window.scrollY + offset.y });
+    const position = action.element?.position;
+    const outlined = position?.width && position?.height && !['BODY', 'HTML'].includes(action.element.tag);
+
+    return {
+      timestamp: action.timestamp,
+      // Enough of the action to number its step among those recorded before it
+      event: { type: action.type, key: action.key, element: action.element, frame: action.frame },
+      box: outlined ? { ...toViewport(position.x, position.y), width: position.width, height: position.height } : null,
+      pointer: action.pointer ? toViewport(action.pointer.x, action.pointer.y) : null
+    };
+  }
+
+  // The step's screenshot, plus a crop of its target and the area a
+  // full-page screenshot covers when the recording takes those
+  async captureScreenshot(annotation = null) {
     return new Promise((resolve) => {
       chrome.runtime.sendMessage({
-        action: 'captureScreenshot'
+        action: 'captureScreenshot',
+        annotation
       }, (response) => {
         if (response && response.screenshot) {
-          resolve(response.screenshot);
+          const { success: _success, ...screenshots } = response;
+          resolve(screenshots);
         } else {
           resolve(null);
         }
@@ -517,6 +1554,7 @@ class ActionRecorder {
 
   shouldIgnoreElement(element) {
     if (element.closest('#demo-recorder-overlay')) return true;
+    if (redactor.isIgnored(element)) return true;
     
     if (element.type === 'password') return false;
     
@@ -539,23 +1577,7 @@ class ActionRecorder {
   }
 
   maskSensitiveData(value, element) {
-    const sensitiveFields = ['password', 'credit', 'card', 'cvv', 'ssn', 'secret'];
-    const fieldName = (element.name + element.id + element.className).toLowerCase();
-    
-    if (element.type === 'password') {
-      return '*'.repeat(value.length);
-    }
-    
-    if (sensitiveFields.some(field => fieldName.includes(field))) {
-      return '*'.repeat(value.length);
-    }
-    
-    const emailRegex = /([a-zA-Z0-9._%+-]+)@([a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g;
-    value = value.replace(emailRegex, (match, local, domain) => {
-      return local.charAt(0) + '***@' + domain;
-    });
-    
-    return value;
+    return redactor.maskValue(value, element);
   }
 
   extractFormData(form) {
@@ -626,10 +1648,33 @@ class ActionRecorder {
 
 const recorder = new ActionRecorder();
 
+window.addEventListener('message', (event) => {
+  if (recorder.isRecording) {
+    FrameLocator.handleRequest(event);
+    recorder.relayConsoleEntry(event);
+  }
+});
+
+// Pages and iframes that load while a recording is running join it. The
+// background is only asked while something is recording, so other page loads
+// don't wake it.
+chrome.storage.session.get('recording').then(({ recording }) => {
+  if (!recording) return;
+
+  chrome.runtime.sendMessage({ action: 'frameReady' }, (response) => {
+    if (chrome.runtime.lastError || !response?.isRecording) return;
+
+    recorder.start(response.sessionId, response.settings);
+    if (response.isPaused) {
+      recorder.pause();
+    }
+  });
+}).catch(() => {});
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   switch (request.action) {
     case 'startRecording':
-      recorder.start(request.sessionId);
+      recorder.start(request.sessionId, request.settings);
       sendResponse({ success: true });
       break;
       
@@ -648,6 +1693,13 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
       
+    case 'addAssertion':
+      if (recorder.isRecording && !recorder.isPaused) {
+        recorder.addAssertion(request.assertion);
+      }
+      sendResponse({ success: true });
+      break;
+      
     case 'ping':
       sendResponse({ success: true, recording: recorder.isRecording });
       break;
@@ -0,0 +1,386 @@
+// Conversion between recordings and the Chrome DevTools Recorder JSON format
+// (https://github.com/puppeteer/replay). Loaded into the service worker with
+// importScripts from background.js.
+
+const DEVTOOLS_MODIFIER_KEYS = { ctrl: 'Control', alt: 'Alt', shift: 'Shift', meta: 'Meta' };
+
+function devtoolsSelectors(element) {
+  const selectors = [];
+  const attributes = element.attributes || {};
+  // A field's text is its value, so fields go by their label
+  const name = accessibleName(element);
+
+  if (name) {
+    selectors.push([`aria/${name}${attributes.role ? `[role="${attributes.role}"]` : ''}`]);
+  }
+  // A selector array descends into the shadow root of each matched element
+  const hosts = element.shadowPath ? element.shadowPath.slice(0, -1) : [];
+  if (attributes['data-testid']) {
+    selectors.push([...hosts, `[data-testid="${attributes['data-testid']}"]`]);
+  }
+  if (element.shadowPath) {
+    selectors.push(element.shadowPath);
+  } else if (element.selector) {
+    selectors.push([element.selector]);
+  }
+
+  // ElementSelector.getXPath stores "(//*)[n]", counting elements below <body>
+  const indexed = /^\(\/\/\*\)\[(\d+)\]$/.exec(element.xpath || '');
+  if (indexed) {
+    selectors.push([`xpath///html/body/descendant::*[${indexed[1]}]`]);
+  } else if (element.xpath) {
+    selectors.push([`xpath/${element.xpath}`]);
+  }
+
+  return selectors;
+}
+
+// DevTools addresses pages other than the first one by their URL
+function devtoolsTarget(action) {
+  return action.tab ? action.url : 'main';
+}
+
+function devtoolsTargetStep(type, action, extra = {}) {
+  const position = action.element?.position;
+  return {
+    type,
+    target: devtoolsTarget(action),
+    selectors: devtoolsSelectors(action.element || {}),
+    ...(position ? { offsetX: Math.round(position.width / 2), offsetY: Math.round(position.height / 2) } : {}),
+    ...extra
+  };
+}
+
+function devtoolsKeySteps(action) {
+  const target = devtoolsTarget(action);
+  const modifiers = Object.keys(DEVTOOLS_MODIFIER_KEYS)
+    .filter(key => action.modifiers?.[key])
+    .map(key => DEVTOOLS_MODIFIER_KEYS[key]);
+  const key = chordKey(action);
+  // A held key presses again for each repeat while the modifiers stay down
+  const presses = Array.from({ length: action.count || 1 }, () => [
+    { type: 'keyDown', target, key },
+    { type: 'keyUp', target, key }
+  ]);
+
+  return [
+    ...modifiers.map(modifier => ({ type: 'keyDown', target, key: modifier })),
+    ...presses.flat(),
+    ...modifiers.reverse().map(modifier => ({ type: 'keyUp', target, key: modifier }))
+  ];
+}
+
+// waitForElement covers visibility and values; text and URL checks have no
+// step of their own and become expressions
+function devtoolsAssertionSteps(action) {
+  const target = devtoolsTarget(action);
+  const selectors = devtoolsSelectors(action.element || {});
+
+  switch (action.assertion) {
+    case 'visible':
+      return [{ type: 'waitForElement', target, selectors, visible: true }];
+
+    case 'value':
+      return [{ type: 'waitForElement', target, selectors, properties: { value: action.expected } }];
+
+    case 'text': {
+      // Descends through the shadow roots on the way, like a selector array
+      const path = JSON.stringify(action.element.shadowPath || [action.element.selector]);
+      const expression = `(() => { let el = document; for (const selector of ${path}) { el = (el.shadowRoot || el).querySelector(selector); if (!el) return false; } return el.innerText.includes(${JSON.stringify(action.expected)}); })()`;
+      return [{ type: 'waitForExpression', target, expression }];
+    }
+
+    case 'url':
+      return [{ type: 'waitForExpression', target, expression: `new RegExp(${JSON.stringify(action.pattern)}).test(location.href)` }];
+
+    default:
+      return [];
+  }
+}
+
+function devtoolsStepsFor(actions, index) {
+  const action = actions[index];
+
+  switch (action.type) {
+    case 'click':
+    case 'checkbox':
+    case 'radio':
+      // DevTools records the click that toggled a control, not the change
+      if (action.type !== 'click' && actions[index - 1]?.type === 'click') {
+        return [];
+      }
+      return [devtoolsTargetStep('click', action)];
+
+    case 'dblclick':
+      return [devtoolsTargetStep('doubleClick', action)];
+
+    // Masked values would be typed as asterisks, so those fields are left out
+    case 'input':
+    case 'select':
+      return isMaskedValue(action.value) ? [] : [devtoolsTargetStep('change', action, { value: action.value ?? '' })];
+
+    case 'keypress':
+      return devtoolsKeySteps(action);
+
+    // Only shortcuts have a DevTools equivalent; menu commands are skipped
+    case 'format':
+      return action.key ? devtoolsKeySteps(action) : [];
+
+    case 'scroll':
+      if (action.element) {
+        return [{ type: 'scroll', target: devtoolsTarget(action), selectors: devtoolsSelectors(action.element), x: action.scrollLeft || 0, y: action.scrollTop || 0 }];
+      }
+      return [{ type: 'scroll', target: devtoolsTarget(action), x: action.viewport?.scrollX || 0, y: action.viewport?.scrollY || 0 }];
+
+    case 'hover':
+      return [devtoolsTargetStep('hover', action)];
+
+    case 'assert':
+      return devtoolsAssertionSteps(action);
+
+    case 'navigate':
+      switch (navigationKind(actions, index)) {
+        case 'goto':
+        case 'reload':
+          return [{
+            type: 'navigate',
+            url: action.url,
+            assertedEvents: [{ type: 'navigation', url: action.url, title: '' }]
+          }];
+        case 'wait':
+          return [{ type: 'waitForExpression', expression: `location.href === ${JSON.stringify(action.url)}` }];
+        default:
+          return [];
+      }
+
+    default:
+      return [];
+  }
+}
+
+function generateDevToolsRecording(recording) {
+  const actions = recording.actions || [];
+  const viewport = recording.metadata?.viewport;
+  const steps = [];
+
+  if (viewport?.width && viewport?.height) {
+    steps.push({
+      type: 'setViewport',
+      width: viewport.width,
+      height: viewport.height,
+      deviceScaleFactor: viewport.deviceScaleFactor || 1,
+      isMobile: false,
+      hasTouch: false,
+      isLandscape: false
+    });
+  }
+
+  steps.push({
+    type: 'navigate',
+    url: recording.url,
+    assertedEvents: [{ type: 'navigation', url: recording.url, title: recording.metadata?.title || '' }]
+  });
+
+  actions.forEach((action, index) => {
+    const actionSteps = devtoolsStepsFor(actions, index);
+    const navigation = navigationAfter(actions, index);
+
+    steps.push(...actionSteps);
+
+    // Steps without a DevTools equivalent (such as a submit) hand their
+    // navigation to the step that triggered them, which keeps its own events
+    if (navigation) {
+      const step = steps[steps.length - 1];
+      step.assertedEvents = [...(step.assertedEvents || []), { type: 'navigation', url: navigation, title: '' }];
+    }
+  });
+
+  return JSON.stringify({
+    title: recording.metadata?.title || 'Recording',
+    steps
+  }, null, 2);
+}
+
+function elementInfoFromSelectors(selectors) {
+  const info = {
+    selector: null,
+    shadowPath: null,
+    xpath: null,
+    text: '',
+    tag: null,
+    attributes: {
+      id: null,
+      class: null,
+      name: null,
+      type: null,
+      role: null,
+      'aria-label': null,
+      'data-testid': null
+    },
+    position: null
+  };
+
+  for (const selectorPath of selectors || []) {
+    const parts = Array.isArray(selectorPath) ? selectorPath : [selectorPath];
+    const selector = parts[parts.length - 1];
+    if (typeof selector !== 'string') continue;
+
+    if (selector.startsWith('aria/')) {
+      const aria = /^aria\/(.*?)(?:\[role="(.+)"\])?$/.exec(selector);
+      info.text = info.text || aria[1];
+      info.attributes.role = info.attributes.role || aria[2] || null;
+    } else if (selector.startsWith('xpath/')) {
+      info.xpath = info.xpath || selector.substring('xpath/'.length);
+    } else if (selector.startsWith('text/')) {
+      info.text = info.text || selector.substring('text/'.length);
+    } else if (!info.selector) {
+      const path = parts.map(part => part.replace(/^pierce\//, ''));
+      info.selector = path.join(' >>> ');
+      info.shadowPath = path.length > 1 ? path : null;
+    }
+  }
+
+  const testId = /^\[data-testid="(.+)"\]$/.exec(info.selector || '');
+  if (testId) info.attributes['data-testid'] = testId[1];
+
+  const id = /^#([\w-]+)$/.exec(info.selector || '');
+  if (id) info.attributes.id = id[1];
+
+  return info;
+}
+
+function importDevToolsRecording(json) {
+  if (!json || !Array.isArray(json.steps)) {
+    throw new Error('Not a DevTools Recorder file: missing steps');
+  }
+
+  const startTime = Date.now();
+  const actions = [];
+  const modifiers = { alt: false, ctrl: false, meta: false, shift: false };
+  const targets = ['main'];
+  // The page each tab is on, by tab index
+  const urls = [null];
+  let viewport = null;
+  let tab = 0;
+
+  const addAction = (action) => {
+    actions.push({
+      id: crypto.randomUUID(),
+      // DevTools recordings carry no timing, so space steps a second apart
+      timestamp: startTime + actions.length * 1000,
+      url: urls[tab],
+      tab,
+      ...action
+    });
+  };
+
+  for (const step of json.steps) {
+    // Steps on another target happen in a tab opened from the first one
+    const target = step.target || 'main';
+    if (!targets.includes(target)) {
+      targets.push(target);
+      urls.push(target);
+      addAction({ type: 'newTab', tab: targets.length - 1, openerTab: tab, url: target, popup: false });
+    }
+    tab = targets.indexOf(target);
+
+    switch (step.type) {
+      case 'setViewport':
+        viewport = { width: step.width, height: step.height, deviceScaleFactor: step.deviceScaleFactor };
+        break;
+
+      case 'navigate':
+        // The first navigate opens the recording; later ones are steps. The
+        // URL itself is picked up below, together with asserted navigations.
+        if (urls[tab]) {
+          addAction({ type: 'navigate', url: step.url, navigationKind: 'load', transitionType: 'typed', transitionQualifiers: [] });
+        }
+        break;
+
+      case 'click':
+        addAction({ type: 'click', element: elementInfoFromSelectors(step.selectors), modifiers: { ...modifiers } });
+        break;
+
+      case 'doubleClick':
+        addAction({ type: 'dblclick', element: elementInfoFromSelectors(step.selectors) });
+        break;
+
+      case 'hover':
+        addAction({ type: 'hover', element: elementInfoFromSelectors(step.selectors) });
+        break;
+
+      case 'change':
+        addAction({ type: 'input', element: elementInfoFromSelectors(step.selectors), value: step.value, inputType: 'text' });
+        break;
+
+      case 'keyDown': {
+        const modifier = Object.keys(DEVTOOLS_MODIFIER_KEYS).find(key => DEVTOOLS_MODIFIER_KEYS[key] === step.key);
+        if (modifier) {
+          modifiers[modifier] = true;
+        } else {
+          addAction({ type: 'keypress', key: step.key, code: null, element: null, modifiers: { ...modifiers } });
+        }
+        break;
+      }
+
+      case 'keyUp': {
+        const modifier = Object.keys(DEVTOOLS_MODIFIER_KEYS).find(key => DEVTOOLS_MODIFIER_KEYS[key] === step.key);
+        if (modifier) modifiers[modifier] = false;
+        break;
+      }
+
+      case 'scroll':
+        // Steps with selectors scroll an element rather than the page
+        if (step.selectors?.length) {
+          addAction({ type: 'scroll', element: elementInfoFromSelectors(step.selectors), scrollLeft: step.x || 0, scrollTop: step.y || 0 });
+        } else {
+          addAction({ type: 'scroll', viewport: { scrollX: step.x || 0, scrollY: step.y || 0 } });
+        }
+        break;
+
+      case 'waitForElement':
+        if (step.properties && 'value' in step.properties) {
+          addAction({ type: 'assert', assertion: 'value', element: elementInfoFromSelectors(step.selectors), expected: String(step.properties.value) });
+        } else {
+          addAction({ type: 'assert', assertion: 'visible', element: elementInfoFromSelectors(step.selectors) });
+        }
+        break;
+
+      default:
+        console.log('Skipping unsupported DevTools Recorder step:', step.type);
+    }
+
+    // Later actions happen on the page the step last navigated to
+    const navigation = step.assertedEvents?.findLast(event => event.type === 'navigation' && event.url);
+    if (navigation) {
+      urls[tab] = navigation.url;
+    } else if (step.type === 'navigate' && step.url) {
+      urls[tab] = step.url;
+    }
+  }
+
+  if (!urls[0] && actions.length === 0) {
+    throw new Error('DevTools Recorder file contains no supported steps');
+  }
+
+  const firstNavigate = json.steps.find(step => step.type === 'navigate');
+  const duration = actions.length * 1000;
+
+  return {
+    id: crypto.randomUUID(),
+    url: firstNavigate?.url || urls[0],
+    startTime,
+    endTime: startTime + duration,
+    duration,
+    actions,
+    videoDownloadId: null,
+    videoFilename: null,
+    metadata: {
+      title: json.title || 'Imported recording',
+      featureDescription: 'Imported from Chrome DevTools Recorder',
+      viewport,
+      userAgent: navigator.userAgent,
+      tags: ['devtools-import']
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,329 @@
+// Network log for recorded tabs, captured with chrome.webRequest and turned
+// into HAR. Loaded into the service worker with importScripts from
+// background.js. Response bodies are not available to webRequest, so entries
+// carry headers, status, timing and the size the server announced.
+
+// Header values that would leak credentials into shared bug reports
+const REDACTED_HEADERS = [
+  'authorization', 'proxy-authorization', 'cookie', 'set-cookie',
+  'x-api-key', 'x-auth-token', 'x-csrf-token', 'x-xsrf-token'
+];
+// E-mail addresses in URLs and headers keep their first letter and domain,
+// like content.js masks them in recorded text
+const NETWORK_EMAIL_PATTERN = /([a-zA-Z0-9._%+-]+)@([a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g;
+
+// Requests that stay open by design and would keep a page from ever being idle
+const NETWORK_IDLE_IGNORED_TYPES = ['websocket', 'media', 'ping', 'csp_report'];
+const NETWORK_IDLE_MAX_REQUEST_AGE = 10000;
+
+function redactHeaders(headers = [], patterns = []) {
+  return headers.map(({ name, value }) => ({
+    name,
+    value: REDACTED_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : maskNetworkText(value ?? '', patterns)
+  }));
+}
+
+function maskNetworkText(text, patterns) {
+  return patterns.reduce((masked, pattern) => masked.replace(pattern, (match, local, domain) =>
+    pattern === NETWORK_EMAIL_PATTERN ? `${local.charAt(0)}***@${domain}` : '*'.repeat(match.length)
+  ), text);
+}
+
+// Query values are matched decoded as well, so that an encoded e-mail address
+// or token is found too
+function maskUrl(url, patterns) {
+  if (!url) return url;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return maskNetworkText(url, patterns);
+  }
+
+  const params = new URLSearchParams();
+  let changed = false;
+  for (const [name, value] of parsed.searchParams) {
+    const masked = maskNetworkText(value, patterns);
+    changed = changed || masked !== value;
+    params.append(name, masked);
+  }
+  if (changed) {
+    parsed.search = params.toString();
+  }
+  return maskNetworkText(parsed.href, patterns);
+}
+
+function headerValue(headers, name) {
+  return headers?.find(header => header.name.toLowerCase() === name)?.value;
+}
+
+class NetworkMonitor {
+  constructor() {
+    // In-flight requests by webRequest requestId
+    this.requests = new Map();
+    // Pending waitForIdle calls, told whenever a request starts or ends
+    this.idleWaiters = new Set();
+    this.configure();
+    this.configured = Promise.resolve();
+    this.listening = false;
+    this.listeners = [
+      [chrome.webRequest.onBeforeRequest, details => this.handleRequest(details)],
+      [chrome.webRequest.onSendHeaders, details => this.handleSendHeaders(details), ['requestHeaders']],
+      [chrome.webRequest.onResponseStarted, details => this.handleResponseStarted(details), ['responseHeaders']],
+      [chrome.webRequest.onBeforeRedirect, details => this.handleFinished(details), ['responseHeaders']],
+      [chrome.webRequest.onCompleted, details => this.handleFinished(details)],
+      [chrome.webRequest.onErrorOccurred, details => this.handleFinished(details)]
+    ];
+  }
+
+  // The user's privacy patterns, masked in the URLs and header values of
+  // stored entries
+  configure(privacy = {}) {
+    this.patterns = [NETWORK_EMAIL_PATTERN];
+    for (const source of privacy.patterns || []) {
+      try {
+        this.patterns.push(new RegExp(source, 'g'));
+      } catch (error) {
+        console.log('Skipping invalid redaction pattern:', source);
+      }
+    }
+  }
+
+  // Every request in the browser would wake the service worker, so the
+  // listeners are only added while something is recording
+  sync(recording) {
+    if (recording === this.listening) return;
+
+    const filter = { urls: ['<all_urls>'] };
+    for (const [event, listener, extraInfo] of this.listeners) {
+      if (recording) {
+        event.addListener(listener, filter, extraInfo);
+      } else {
+        event.removeListener(listener);
+      }
+    }
+    this.listening = recording;
+    if (recording) {
+      this.configured = loadSettings().then(settings => this.configure(settings.privacy));
+    } else {
+      this.requests.clear();
+    }
+  }
+
+  async handleRequest(details) {
+    // Listeners run in event order because they all wait on the same promise
+    await recordingManager.ready;
+
+    const session = recordingManager.getSession(details.tabId);
+    if (!session || session.isPaused) return;
+
+    this.requests.set(details.requestId, {
+      id: crypto.randomUUID(),
+      sessionId: session.id,
+      tabId: details.tabId,
+      tab: session.tabs.indexOf(details.tabId),
+      frameId: details.frameId,
+      url: details.url,
+      method: details.method,
+      type: details.type,
+      initiator: details.initiator || null,
+      startTime: details.timeStamp,
+      requestHeaders: [],
+      responseStart: null
+    });
+    this.notifyIdleWaiters(details.tabId);
+  }
+
+  async handleSendHeaders(details) {
+    await recordingManager.ready;
+
+    const request = this.requests.get(details.requestId);
+    if (request) {
+      request.requestHeaders = redactHeaders(details.requestHeaders);
+    }
+  }
+
+  async handleResponseStarted(details) {
+    await recordingManager.ready;
+
+    const request = this.requests.get(details.requestId);
+    if (request) {
+      request.responseStart = details.timeStamp;
+      request.responseHeaders = redactHeaders(details.responseHeaders);
+    }
+  }
+
+  async handleFinished(details) {
+    await recordingManager.ready;
+
+    const request = this.requests.get(details.requestId);
+    if (!request) return;
+    this.requests.delete(details.requestId);
+    this.notifyIdleWaiters(request.tabId);
+
+    // A redirect reuses the requestId, so each hop is stored as its own entry
+    if (details.responseHeaders) {
+      request.responseHeaders = redactHeaders(details.responseHeaders);
+    }
+    await this.configured;
+    const { sessionId, tabId, ...entry } = request;
+    const contentLength = Number(headerValue(request.responseHeaders, 'content-length'));
+
+    Object.assign(entry, {
+      status: details.statusCode || 0,
+      statusLine: details.statusLine || '',
+      fromCache: !!details.fromCache,
+      ip: details.ip || null,
+      mimeType: (headerValue(request.responseHeaders, 'content-type') || '').split(';')[0],
+      size: Number.isFinite(contentLength) ? contentLength : -1,
+      endTime: details.timeStamp,
+      redirectUrl: maskUrl(details.redirectUrl, this.patterns) || null,
+      error: details.error || null
+    });
+    entry.url = maskUrl(entry.url, this.patterns);
+    entry.requestHeaders = redactHeaders(entry.requestHeaders, this.patterns);
+    entry.responseHeaders = redactHeaders(entry.responseHeaders, this.patterns);
+
+    try {
+      await recordingStore.saveNetworkEntry(sessionId, entry);
+    } catch (error) {
+      console.error('Failed to store network entry:', error);
+    }
+  }
+
+  pendingRequests(tabId) {
+    const now = Date.now();
+    let pending = 0;
+    for (const request of this.requests.values()) {
+      if (request.tabId === tabId &&
+          !NETWORK_IDLE_IGNORED_TYPES.includes(request.type) &&
+          now - request.startTime < NETWORK_IDLE_MAX_REQUEST_AGE) {
+        pending++;
+      }
+    }
+    return pending;
+  }
+
+  // Resolves once the tab has had no requests in flight for quietPeriod, or
+  // after timeout at the latest. Only recorded tabs are tracked.
+  waitForIdle(tabId, timeout = 1500, quietPeriod = 300) {
+    return new Promise((resolve) => {
+      let quietTimer = null;
+
+      const waiter = {
+        tabId,
+        check: () => {
+          clearTimeout(quietTimer);
+          if (this.pendingRequests(tabId) === 0) {
+            quietTimer = setTimeout(finish, quietPeriod);
+          }
+        }
+      };
+      const finish = () => {
+        clearTimeout(quietTimer);
+        clearTimeout(deadline);
+        this.idleWaiters.delete(waiter);
+        resolve();
+      };
+      const deadline = setTimeout(finish, timeout);
+
+      this.idleWaiters.add(waiter);
+      waiter.check();
+    });
+  }
+
+  notifyIdleWaiters(tabId) {
+    for (const waiter of this.idleWaiters) {
+      if (waiter.tabId === tabId) {
+        waiter.check();
+      }
+    }
+  }
+}
+
+// The step that triggered each request: the last action in the same tab that
+// happened before the request started. Requests made before the first action
+// belong to the initial page load and have no step.
+function attributeNetworkEntries(actions, entries) {
+  return entries.map(entry => {
+    const step = findStepBefore(actions, entry.tab, entry.startTime);
+    return { ...entry, step, actionId: step === null ? null : actions[step].id };
+  });
+}
+
+// Index of the last action in the tab at or before time, or null
+function findStepBefore(actions, tab, time) {
+  let step = null;
+  actions.forEach((action, index) => {
+    if ((action.tab || 0) === (tab || 0) && action.timestamp <= time) {
+      step = index;
+    }
+  });
+  return step;
+}
+
+function generateHar(recording, entries) {
+  const attributed = attributeNetworkEntries(recording.actions || [], entries);
+  // Numbered like the steps of the other exports rather than by recorded event
+  const stepNumbers = stepNumbersById(recording);
+
+  return JSON.stringify({
+    log: {
+      version: '1.2',
+      creator: { name: 'Demo Recorder', version: chrome.runtime.getManifest().version },
+      pages: [{
+        startedDateTime: new Date(recording.startTime).toISOString(),
+        id: 'page_1',
+        title: recording.metadata?.title || recording.url,
+        pageTimings: {}
+      }],
+      entries: attributed.map(entry => {
+        const wait = entry.responseStart ? entry.responseStart - entry.startTime : entry.endTime - entry.startTime;
+        const receive = entry.responseStart ? entry.endTime - entry.responseStart : 0;
+        let queryString = [];
+        try {
+          queryString = Array.from(new URL(entry.url).searchParams, ([name, value]) => ({ name, value }));
+        } catch (error) {
+          // Not a URL with a query, such as a data: URL
+        }
+
+        return {
+          pageref: 'page_1',
+          startedDateTime: new Date(entry.startTime).toISOString(),
+          time: Math.max(0, entry.endTime - entry.startTime),
+          request: {
+            method: entry.method,
+            url: entry.url,
+            httpVersion: '',
+            cookies: [],
+            headers: entry.requestHeaders,
+            queryString,
+            headersSize: -1,
+            bodySize: -1
+          },
+          response: {
+            status: entry.status,
+            statusText: entry.statusLine.replace(/^\S+\s+\d+\s*/, ''),
+            httpVersion: entry.statusLine.split(' ')[0] || '',
+            cookies: [],
+            headers: entry.responseHeaders,
+            content: { size: Math.max(0, entry.size), mimeType: entry.mimeType },
+            redirectURL: entry.redirectUrl || headerValue(entry.responseHeaders, 'location') || '',
+            headersSize: -1,
+            bodySize: entry.size,
+            ...(entry.error ? { _error: entry.error } : {})
+          },
+          cache: {},
+          timings: { send: 0, wait: Math.max(0, wait), receive: Math.max(0, receive) },
+          ...(entry.ip ? { serverIPAddress: entry.ip } : {}),
+          _resourceType: entry.type,
+          _fromCache: entry.fromCache,
+          _tab: entry.tab,
+          _step: stepNumbers.get(entry.actionId) ?? null,
+          _actionId: entry.actionId
+        };
+      })
+    }
+  }, null, 2);
+}
\ No newline at end of file
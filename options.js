@@ -0,0 +1,252 @@
+class OptionsController {
+  constructor() {
+    this.settings = null;
+
+    this.initializeElements();
+    this.attachListeners();
+    this.initialize();
+  }
+
+  initializeElements() {
+    this.elements = {
+      settingsForm: document.getElementById('settingsForm'),
+      storageUsage: document.getElementById('storageUsage'),
+      maxRecordings: document.getElementById('maxRecordings'),
+      maxAgeDays: document.getElementById('maxAgeDays'),
+      maxStorageMB: document.getElementById('maxStorageMB'),
+      captureShortcuts: document.getElementById('captureShortcuts'),
+      captureNavigation: document.getElementById('captureNavigation'),
+      sensitiveFields: document.getElementById('sensitiveFields'),
+      redactPatterns: document.getElementById('redactPatterns'),
+      redactSelectors: document.getElementById('redactSelectors'),
+      ignoreSelectors: document.getElementById('ignoreSelectors'),
+      screenshotRedaction: document.getElementById('screenshotRedaction'),
+      annotateScreenshots: document.getElementById('annotateScreenshots'),
+      stepNumbers: document.getElementById('stepNumbers'),
+      screenshotMode: document.getElementById('screenshotMode'),
+      cropPadding: document.getElementById('cropPadding'),
+      screenshotFormat: document.getElementById('screenshotFormat'),
+      screenshotQuality: document.getElementById('screenshotQuality'),
+      captureSnapshots: document.getElementById('captureSnapshots'),
+      importBtn: document.getElementById('importBtn'),
+      importFile: document.getElementById('importFile')
+    };
+  }
+
+  attachListeners() {
+    this.elements.settingsForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveSettings();
+    });
+    // The popup closes when the file picker takes focus, so importing lives here
+    this.elements.importBtn.addEventListener('click', () => this.elements.importFile.click());
+    this.elements.importFile.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) {
+        this.importRecording(file);
+      }
+    });
+  }
+
+  async initialize() {
+    try {
+      this.settings = await loadSettings();
+      this.render();
+      this.loadStorageUsage();
+    } catch (error) {
+      console.error('Failed to load settings:', error);
+      this.showError('Failed to load settings');
+    }
+  }
+
+  render() {
+    const { retention, keyboard, privacy, screenshots, snapshots } = this.settings;
+    this.elements.maxRecordings.value = retention.maxRecordings;
+    this.elements.maxAgeDays.value = retention.maxAgeDays;
+    this.elements.maxStorageMB.value = retention.maxStorageMB;
+    this.elements.captureShortcuts.checked = keyboard.shortcuts;
+    this.elements.captureNavigation.checked = keyboard.navigation;
+    this.elements.sensitiveFields.value = privacy.sensitiveFields.join(', ');
+    this.elements.redactPatterns.value = privacy.patterns.join('\n');
+    this.elements.redactSelectors.value = this.formatSelectorRules(privacy.redactSelectors);
+    this.elements.ignoreSelectors.value = this.formatSelectorRules(privacy.ignoreSelectors);
+    this.elements.screenshotRedaction.value = privacy.screenshotRedaction;
+    this.elements.annotateScreenshots.checked = screenshots.annotate;
+    this.elements.stepNumbers.checked = screenshots.stepNumbers;
+    this.elements.screenshotMode.value = screenshots.mode;
+    this.elements.cropPadding.value = screenshots.padding;
+    this.elements.screenshotFormat.value = screenshots.format;
+    this.elements.screenshotQuality.value = screenshots.quality;
+    this.elements.captureSnapshots.checked = snapshots.enabled;
+  }
+
+  readForm() {
+    return {
+      ...this.settings,
+      retention: {
+        maxRecordings: this.readNumber(this.elements.maxRecordings),
+        maxAgeDays: this.readNumber(this.elements.maxAgeDays),
+        maxStorageMB: this.readNumber(this.elements.maxStorageMB)
+      },
+      keyboard: {
+        shortcuts: this.elements.captureShortcuts.checked,
+        navigation: this.elements.captureNavigation.checked
+      },
+      privacy: {
+        sensitiveFields: this.elements.sensitiveFields.value.split(',').map(field => field.trim()).filter(Boolean),
+        patterns: this.readLines(this.elements.redactPatterns),
+        redactSelectors: this.readSelectorRules(this.elements.redactSelectors),
+        ignoreSelectors: this.readSelectorRules(this.elements.ignoreSelectors),
+        screenshotRedaction: this.elements.screenshotRedaction.value
+      },
+      screenshots: {
+        annotate: this.elements.annotateScreenshots.checked,
+        stepNumbers: this.elements.stepNumbers.checked,
+        mode: this.elements.screenshotMode.value,
+        padding: this.readNumber(this.elements.cropPadding),
+        format: this.elements.screenshotFormat.value,
+        quality: Math.min(100, this.readNumber(this.elements.screenshotQuality)) || DEFAULT_SETTINGS.screenshots.quality
+      },
+      snapshots: {
+        enabled: this.elements.captureSnapshots.checked
+      }
+    };
+  }
+
+  readLines(textarea) {
+    return textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+
+  // "domain##selector" limits a rule to one site, like ad blocker filters
+  readSelectorRules(textarea) {
+    return this.readLines(textarea).map(line => {
+      const separator = line.indexOf('##');
+      return separator < 0
+        ? { domain: '', selector: line }
+        : { domain: line.substring(0, separator).trim().toLowerCase(), selector: line.substring(separator + 2).trim() };
+    });
+  }
+
+  formatSelectorRules(rules) {
+    return rules.map(rule => rule.domain ? `${rule.domain}##${rule.selector}` : rule.selector).join('\n');
+  }
+
+  // The first pattern or selector that would fail on the page, if any
+  validatePrivacy(privacy) {
+    for (const pattern of privacy.patterns) {
+      try {
+        new RegExp(pattern, 'g');
+      } catch (error) {
+        return `Invalid pattern ${pattern}: ${error.message}`;
+      }
+    }
+    for (const rule of [...privacy.redactSelectors, ...privacy.ignoreSelectors]) {
+      try {
+        document.createDocumentFragment().querySelector(rule.selector);
+      } catch (error) {
+        return `Invalid selector ${rule.selector}`;
+      }
+    }
+    return null;
+  }
+
+  readNumber(input) {
+    const value = parseInt(input.value, 10);
+    return Number.isFinite(value) && value > 0 ? value : 0;
+  }
+
+  saveSettings() {
+    const settings = this.readForm();
+    const invalid = this.validatePrivacy(settings.privacy);
+    if (invalid) {
+      this.showError(invalid);
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      action: 'saveSettings',
+      settings
+    }, (response) => {
+      if (response && response.success) {
+        this.settings = response.settings;
+        this.render();
+        this.loadStorageUsage();
+        this.showSuccess(response.removed > 0
+          ? `Settings saved. ${response.removed} old recording(s) removed.`
+          : 'Settings saved');
+      } else {
+        this.showError('Failed to save settings: ' + (response?.error || 'Unknown error'));
+      }
+    });
+  }
+
+  async importRecording(file) {
+    const data = await file.text();
+
+    chrome.runtime.sendMessage({
+      action: 'importRecording',
+      format: 'devtools',
+      data
+    }, (response) => {
+      if (response && response.success) {
+        this.loadStorageUsage();
+        this.showSuccess('Imported: ' + response.title);
+      } else {
+        this.showError('Import failed: ' + (response?.error || 'Unknown error'));
+      }
+    });
+  }
+
+  loadStorageUsage() {
+    chrome.runtime.sendMessage({ action: 'getStorageUsage' }, (response) => {
+      if (response && response.success) {
+        const { recordings, bytes, savedBytes, usage, quota } = response.usage;
+        this.elements.storageUsage.textContent =
+          `${recordings} recording${recordings === 1 ? '' : 's'} using ${this.formatBytes(bytes)}` +
+          (quota ? ` (extension total ${this.formatBytes(usage)} of ${this.formatBytes(quota)} available)` : '') +
+          (savedBytes ? `. Reusing near-identical screenshots saved ${this.formatBytes(savedBytes)}.` : '');
+      } else {
+        this.elements.storageUsage.textContent = 'Storage usage unavailable';
+      }
+    });
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  }
+
+  showSuccess(message) {
+    this.showNotification(message, 'success');
+  }
+
+  showError(message) {
+    this.showNotification(message, 'error');
+  }
+
+  showNotification(message, type) {
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+    notification.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      padding: 12px 20px;
+      background: ${type === 'success' ? '#28a745' : '#dc3545'};
+      color: white;
+      border-radius: 4px;
+      z-index: 10000;
+    `;
+
+    document.body.appendChild(notification);
+    setTimeout(() => notification.remove(), 3000);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsController();
+});
\ No newline at end of file
@@ -0,0 +1,113 @@
+// Runs in the page's own JavaScript world while a recording is in progress to
+// report console errors and warnings, uncaught exceptions and unhandled
+// promise rejections. content.js runs in an isolated world and can't see any
+// of these, so entries are handed to it with window.postMessage.
+
+(() => {
+  const installed = Symbol.for('demoRecorder.pageHooks');
+  if (window[installed]) return;
+  window[installed] = true;
+
+  const MAX_MESSAGE_LENGTH = 2000;
+  const MAX_BUFFERED = 50;
+
+  // This script starts at document_start and content.js at document_idle, so
+  // entries are held back until content.js says it is listening
+  let buffered = [];
+  // Cleared when content.js stops listening, in case something wrapped the
+  // console on top of these hooks and they can't be taken out
+  let active = true;
+
+  function describe(value) {
+    try {
+      if (value instanceof Error) {
+        return value.stack || `${value.name}: ${value.message}`;
+      }
+      if (typeof value === 'string') {
+        return value;
+      }
+      return JSON.stringify(value) ?? String(value);
+    } catch (error) {
+      return Object.prototype.toString.call(value);
+    }
+  }
+
+  function post(entry) {
+    window.postMessage({ demoRecorder: 'consoleEntry', entry }, '*');
+  }
+
+  function report(entry) {
+    if (!active) return;
+    entry.message = String(entry.message).substring(0, MAX_MESSAGE_LENGTH);
+    entry.timestamp = Date.now();
+
+    if (buffered) {
+      buffered.push(entry);
+      if (buffered.length > MAX_BUFFERED) {
+        buffered.shift();
+      }
+    } else {
+      post(entry);
+    }
+  }
+
+  const originals = new Map();
+  for (const level of ['error', 'warn']) {
+    const original = console[level];
+    const hook = function(...args) {
+      report({ level, message: args.map(describe).join(' ') });
+      return original.apply(this, args);
+    };
+    originals.set(level, { original, hook });
+    console[level] = hook;
+  }
+
+  function reportError(event) {
+    report({
+      level: 'exception',
+      message: event.message,
+      stack: event.error instanceof Error ? event.error.stack : null,
+      source: event.filename || null,
+      line: event.lineno || null,
+      column: event.colno || null
+    });
+  }
+
+  function reportRejection(event) {
+    report({
+      level: 'rejection',
+      message: describe(event.reason),
+      stack: event.reason instanceof Error ? event.reason.stack : null
+    });
+  }
+
+  // The page gets its console back once the recording stops, and the hooks
+  // can be installed again by the next one
+  function uninstall() {
+    active = false;
+    buffered = null;
+    for (const [level, { original, hook }] of originals) {
+      if (console[level] === hook) console[level] = original;
+    }
+    window.removeEventListener('error', reportError);
+    window.removeEventListener('unhandledrejection', reportRejection);
+    window.removeEventListener('message', onMessage);
+    delete window[installed];
+  }
+
+  function onMessage(event) {
+    if (event.source !== window) return;
+
+    if (event.data?.demoRecorder === 'consoleStopped') {
+      uninstall();
+    } else if (event.data?.demoRecorder === 'consoleListening' && buffered) {
+      const pending = buffered;
+      buffered = null;
+      pending.forEach(post);
+    }
+  }
+
+  window.addEventListener('error', reportError);
+  window.addEventListener('unhandledrejection', reportRejection);
+  window.addEventListener('message', onMessage);
+})();
\ No newline at end of file
@@ -25,6 +25,18 @@ class PopupController {
       actionCount: document.getElementById('actionCount'),
       recordingsList: document.getElementById('recordingsList'),
       refreshBtn: document.getElementById('refreshBtn'),
+      storageUsage: document.getElementById('storageUsage'),
+      settingsBtn: document.getElementById('settingsBtn'),
+      replaySpeed: document.getElementById('replaySpeed'),
+      captureOptions: document.getElementById('captureOptions'),
+      screenshotMode: document.getElementById('screenshotMode'),
+      // Replay elements
+      replayPanel: document.getElementById('replayPanel'),
+      replayTitle: document.getElementById('replayTitle'),
+      replayProgress: document.getElementById('replayProgress'),
+      replayResults: document.getElementById('replayResults'),
+      nextStepBtn: document.getElementById('nextStepBtn'),
+      stopReplayBtn: document.getElementById('stopReplayBtn'),
       // Modal elements
       namingModal: document.getElementById('namingModal'),
       namingForm: document.getElementById('namingForm'),
@@ -40,7 +52,16 @@ class PopupController {
     this.elements.pauseBtn.addEventListener('click', () => this.pauseRecording());
     this.elements.resumeBtn.addEventListener('click', () => this.resumeRecording());
     this.elements.refreshBtn.addEventListener('click', () => this.loadRecordings());
-    
+    this.elements.settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    this.elements.nextStepBtn.addEventListener('click', () => this.nextReplayStep());
+    this.elements.stopReplayBtn.addEventListener('click', () => this.stopReplay());
+
+    chrome.runtime.onMessage.addListener((request) => {
+      if (request.action === 'replayProgress' && request.tabId === this.currentTab?.id) {
+        this.updateReplayPanel(request.replay);
+      }
+    });
+
     
     // Modal listeners
     this.elements.namingForm.addEventListener('submit', (e) => {
@@ -48,6 +69,9 @@ class PopupController {
       this.saveNamedRecording();
     });
     this.elements.cancelNaming.addEventListener('click', () => {
+      if (this.pendingRecording) {
+        chrome.runtime.sendMessage({ action: 'discardRecording', recordingId: this.pendingRecording.id });
+      }
       this.hideNamingModal();
     });
     
@@ -57,8 +81,12 @@ class PopupController {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       this.currentTab = tab;
+
+      const settings = await loadSettings();
+      this.elements.screenshotMode.value = settings.screenshots.mode;
       
       await this.checkRecordingStatus();
+      await this.checkReplayStatus();
       await this.loadRecordings();
       
       // Check for pending recordings every few seconds if recording
@@ -127,7 +155,8 @@ class PopupController {
     
     chrome.runtime.sendMessage({
       action: 'startCombinedRecording',
-      tabId: this.currentTab.id
+      tabId: this.currentTab.id,
+      screenshotMode: this.elements.screenshotMode.value
     }, (response) => {
       if (response.success) {
         this.isRecording = true;
@@ -252,6 +281,7 @@ class PopupController {
     this.elements.startBtn.style.display = 'none';
     this.elements.pauseBtn.style.display = 'flex';
     this.elements.resumeBtn.style.display = 'none';
+    this.elements.captureOptions.style.display = 'none';
     this.elements.recordingInfo.style.display = 'flex';
   }
 
@@ -268,6 +298,7 @@ class PopupController {
     this.elements.startBtn.style.display = 'flex';
     this.elements.pauseBtn.style.display = 'none';
     this.elements.resumeBtn.style.display = 'none';
+    this.elements.captureOptions.style.display = 'flex';
     this.elements.recordingInfo.style.display = 'none';
     this.elements.timer.textContent = '00:00';
     this.elements.actionCount.textContent = '0';
@@ -292,6 +323,8 @@ class PopupController {
   }
 
   async loadRecordings() {
+    this.loadStorageUsage();
+
     chrome.runtime.sendMessage({ action: 'getSavedRecordings' }, (recordings) => {
       if (!recordings || recordings.length === 0) {
         this.elements.recordingsList.innerHTML = `
@@ -309,25 +342,64 @@ class PopupController {
         
         return `
           <div class="recording-item" data-id="${recording.id}">
-            <div class="recording-title">${recording.metadata?.title || 'Untitled Recording'}</div>
+            <div class="recording-title"></div>
             <div class="recording-meta">
-              <span>${recording.actions?.length || 0} actions</span>
+              ${recording.steps
+                ? `<span title="${recording.actionCount ?? recording.actions?.length ?? 0} recorded events">${recording.steps.length} steps</span>`
+                : `<span>${recording.actionCount ?? recording.actions?.length ?? 0} actions</span>`}
               <span>${duration}s</span>
               <span>${time}</span>
             </div>
             <div class="recording-actions">
               <button class="export-btn" data-id="${recording.id}" data-format="html">View Demo</button>
+              <button class="replay-btn" data-id="${recording.id}">Replay</button>
               <button class="view-video-btn" data-id="${recording.id}">View Video</button>
+              ${recording.snapshotCount ? `<button class="snapshots-btn" data-id="${recording.id}" title="Inspect the DOM at each step">Inspect</button>` : ''}
               <button class="delete-btn" data-id="${recording.id}">Delete</button>
             </div>
+            <div class="recording-export">
+              <select class="export-select" data-id="${recording.id}">
+                <option value="">Export as…</option>
+                <option value="markdown">Markdown</option>
+                <option value="json">JSON</option>
+                <option value="playwright">Playwright test</option>
+                <option value="cypress">Cypress test</option>
+                <option value="puppeteer">Puppeteer script</option>
+                <option value="devtools">DevTools Recorder JSON</option>
+                <option value="har">Network log (HAR)</option>
+              </select>
+              <button class="compact-btn" data-id="${recording.id}" title="Merge the recorded events into steps again">Rebuild steps</button>
+            </div>
           </div>
         `;
       }).join('');
 
+      // Titles come from the page or an imported file, so they are set as text
+      this.elements.recordingsList.querySelectorAll('.recording-title').forEach((title, index) => {
+        title.textContent = recordings[index].metadata?.title || 'Untitled Recording';
+      });
+
       this.attachRecordingListeners();
     });
   }
 
+  loadStorageUsage() {
+    chrome.runtime.sendMessage({ action: 'getStorageUsage' }, (response) => {
+      if (response && response.success) {
+        const { recordings, bytes, savedBytes } = response.usage;
+        this.elements.storageUsage.textContent =
+          `${recordings} recording${recordings === 1 ? '' : 's'} · ${this.formatBytes(bytes)} used` +
+          (savedBytes ? ` · ${this.formatBytes(savedBytes)} saved` : '');
+      }
+    });
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
   attachRecordingListeners() {
     document.querySelectorAll('.export-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -338,6 +410,26 @@ class PopupController {
       });
     });
 
+    document.querySelectorAll('.export-select').forEach(select => {
+      select.addEventListener('click', (e) => e.stopPropagation());
+      select.addEventListener('change', (e) => {
+        const recordingId = e.target.dataset.id;
+        const format = e.target.value;
+        e.target.value = '';
+        if (format) {
+          this.exportRecording(recordingId, format);
+        }
+      });
+    });
+
+    document.querySelectorAll('.replay-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const recordingId = e.target.dataset.id;
+        this.startReplay(recordingId);
+      });
+    });
+
     document.querySelectorAll('.view-video-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -346,6 +438,22 @@ class PopupController {
       });
     });
 
+    document.querySelectorAll('.snapshots-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const recordingId = e.target.dataset.id;
+        chrome.tabs.create({ url: chrome.runtime.getURL(`snapshot-viewer.html?recordingId=${recordingId}`) });
+      });
+    });
+
+    document.querySelectorAll('.compact-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const recordingId = e.target.dataset.id;
+        this.compactRecording(recordingId);
+      });
+    });
+
     document.querySelectorAll('.delete-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -357,6 +465,98 @@ class PopupController {
     });
   }
 
+  async startReplay(recordingId) {
+    chrome.runtime.sendMessage({
+      action: 'startReplay',
+      recordingId,
+      speed: this.elements.replaySpeed.value
+    }, (response) => {
+      if (response && response.success) {
+        this.showSuccess('Replay started in a new tab');
+      } else {
+        this.showError('Failed to start replay: ' + (response?.error || 'Unknown error'));
+      }
+    });
+  }
+
+  async checkReplayStatus() {
+    if (!this.currentTab) return;
+
+    chrome.runtime.sendMessage({
+      action: 'getReplayStatus',
+      tabId: this.currentTab.id
+    }, (response) => {
+      if (response && response.replay) {
+        this.updateReplayPanel(response.replay);
+      }
+    });
+  }
+
+  nextReplayStep() {
+    if (!this.currentTab) return;
+
+    chrome.runtime.sendMessage({
+      action: 'replayNextStep',
+      tabId: this.currentTab.id
+    });
+  }
+
+  stopReplay() {
+    if (!this.currentTab) return;
+
+    chrome.runtime.sendMessage({
+      action: 'stopReplay',
+      tabId: this.currentTab.id
+    }, (response) => {
+      if (response && response.success) {
+        this.showSuccess('Replay stopped');
+      }
+    });
+  }
+
+  updateReplayPanel(replay) {
+    const isActive = replay.state === 'running' || replay.state === 'waiting';
+
+    this.elements.replayPanel.style.display = 'block';
+    this.elements.replayTitle.textContent = `Replaying: ${replay.title}`;
+    this.elements.replayProgress.textContent = `${replay.currentStep}/${replay.totalSteps}`;
+    this.elements.nextStepBtn.style.display = replay.state === 'waiting' ? 'flex' : 'none';
+    this.elements.stopReplayBtn.style.display = isActive ? 'flex' : 'none';
+
+    // Errors quote selectors and text from the page, so everything goes in as text
+    const line = (className, ...texts) => {
+      const element = document.createElement('div');
+      element.className = className;
+      element.append(...texts);
+      return element;
+    };
+    const span = (text, className = '') => {
+      const element = document.createElement('span');
+      element.className = className;
+      element.textContent = text;
+      return element;
+    };
+
+    const nodes = [];
+    if (!isActive) {
+      nodes.push(line('replay-summary', `${replay.state}: ${replay.passed} passed, ${replay.failed} failed`));
+    }
+    for (const result of replay.results) {
+      const strategy = result.strategy && result.strategy !== 'selector'
+        ? ` (${result.strategy} ${Math.round(result.confidence * 100)}%)`
+        : '';
+      nodes.push(line(`replay-result ${result.status}`,
+        span(`Step ${result.index + 1} · ${result.type}${strategy}`),
+        span(result.status, 'replay-status')));
+      if (result.error) {
+        nodes.push(line('replay-error', result.error));
+      }
+    }
+
+    this.elements.replayResults.replaceChildren(...nodes);
+    this.elements.replayResults.scrollTop = this.elements.replayResults.scrollHeight;
+  }
+
   async viewVideo(recordingId) {
     console.log('Attempting to view video for recording:', recordingId);
     chrome.runtime.sendMessage({
@@ -399,6 +599,31 @@ class PopupController {
               filename = `recording-${recordingId.substring(0, 8)}.html`;
               blob = new Blob([response.data], { type: mimeType });
               break;
+            case 'playwright':
+              mimeType = 'text/typescript';
+              filename = `recording-${recordingId.substring(0, 8)}.spec.ts`;
+              blob = new Blob([response.data], { type: mimeType });
+              break;
+            case 'cypress':
+              mimeType = 'text/javascript';
+              filename = `recording-${recordingId.substring(0, 8)}.cy.js`;
+              blob = new Blob([response.data], { type: mimeType });
+              break;
+            case 'puppeteer':
+              mimeType = 'text/javascript';
+              filename = `recording-${recordingId.substring(0, 8)}.puppeteer.js`;
+              blob = new Blob([response.data], { type: mimeType });
+              break;
+            case 'devtools':
+              mimeType = 'application/json';
+              filename = `recording-${recordingId.substring(0, 8)}.devtools.json`;
+              blob = new Blob([response.data], { type: mimeType });
+              break;
+            case 'har':
+              mimeType = 'application/json';
+              filename = `recording-${recordingId.substring(0, 8)}.har`;
+              blob = new Blob([response.data], { type: mimeType });
+              break;
             default:
               mimeType = 'text/plain';
               filename = `recording-${recordingId.substring(0, 8)}.txt`;
@@ -425,6 +650,20 @@ class PopupController {
     });
   }
 
+  async compactRecording(recordingId) {
+    chrome.runtime.sendMessage({
+      action: 'compactRecording',
+      recordingId
+    }, (response) => {
+      if (response && response.success) {
+        this.showSuccess(`Rebuilt ${response.steps.length} steps`);
+        this.loadRecordings();
+      } else {
+        this.showError('Failed to rebuild steps: ' + (response?.error || 'Unknown error'));
+      }
+    });
+  }
+
   async deleteRecording(recordingId) {
     chrome.runtime.sendMessage({
       action: 'deleteRecording',
@@ -0,0 +1,650 @@
+// Relative weight of each fingerprint signal stored by ElementSelector.getElementInfo
+const RESOLVER_WEIGHTS = {
+  selector: 2,
+  xpath: 1,
+  id: 3,
+  testId: 3,
+  name: 2,
+  ariaLabel: 2,
+  role: 1,
+  type: 1,
+  text: 3,
+  tag: 1,
+  className: 1,
+  position: 1
+};
+const RESOLVER_MIN_CONFIDENCE = 0.5;
+const RESOLVER_MAX_CANDIDATES = 3000;
+// Characters of a candidate's text read for comparing it with the recorded text
+const RESOLVER_MAX_TEXT_LENGTH = 200;
+// Recorded values that were masked, whole or in part (j***@example.com), as
+// the exporters recognise them
+const REPLAY_MASKED_PATTERN = /^\*+$|\*\*\*/;
+
+class ElementResolver {
+  static resolve(info) {
+    const unique = this.uniqueMatch(info);
+    if (unique) {
+      return { element: unique.element, strategy: unique.strategy, confidence: 1, signals: [unique.signal] };
+    }
+
+    const bySelector = this.querySelector(info.selector);
+    const byXPath = info.xpath ? this.evaluateXPath(info.xpath) : null;
+
+    let best = null;
+    for (const candidate of this.collectCandidates(info, [bySelector, byXPath])) {
+      const match = this.score(candidate, info, bySelector, byXPath);
+      if (!best || match.confidence > best.confidence) {
+        best = match;
+      }
+    }
+
+    if (!best || best.confidence < RESOLVER_MIN_CONFIDENCE) {
+      return null;
+    }
+
+    let strategy = 'fingerprint';
+    if (best.element === bySelector) {
+      strategy = 'selector';
+    } else if (best.element === byXPath) {
+      strategy = 'xpath';
+    }
+
+    return {
+      element: best.element,
+      strategy,
+      confidence: Math.round(best.confidence * 100) / 100,
+      signals: best.signals
+    };
+  }
+
+  // A selector, id or data-testid that matches exactly one element is taken
+  // as it is, without scoring every element of the same tag. Replay polls
+  // for the element, and scoring them all each time freezes large pages.
+  static uniqueMatch(info) {
+    const bySelector = this.querySelectorAll(info.selector);
+    if (bySelector.length === 1) {
+      return { element: bySelector[0], strategy: 'selector', signal: 'selector' };
+    }
+
+    const attributes = info.attributes || {};
+    const root = this.shadowRoot(info) || document;
+    for (const [signal, attribute] of [['id', 'id'], ['testId', 'data-testid']]) {
+      if (!attributes[attribute]) continue;
+
+      const matches = root.querySelectorAll(`[${attribute}="${CSS.escape(attributes[attribute])}"]`);
+      if (matches.length === 1 && (!info.tag || matches[0].tagName === info.tag)) {
+        return { element: matches[0], strategy: signal, signal };
+      }
+    }
+    return null;
+  }
+
+  static collectCandidates(info, direct) {
+    const candidates = new Set(direct.filter(Boolean));
+    const attributes = info.attributes || {};
+    const attributeSelectors = [];
+
+    // Elements recorded inside a shadow root are looked for in that root
+    const root = this.shadowRoot(info) || document;
+
+    if (attributes.id) attributeSelectors.push(`[id="${CSS.escape(attributes.id)}"]`);
+    if (attributes['data-testid']) attributeSelectors.push(`[data-testid="${CSS.escape(attributes['data-testid'])}"]`);
+    if (attributes.name) attributeSelectors.push(`[name="${CSS.escape(attributes.name)}"]`);
+    if (attributes['aria-label']) attributeSelectors.push(`[aria-label="${CSS.escape(attributes['aria-label'])}"]`);
+
+    for (const selector of attributeSelectors) {
+      root.querySelectorAll(selector).forEach(element => candidates.add(element));
+    }
+
+    if (info.tag) {
+      const sameTag = root.querySelectorAll(info.tag.toLowerCase());
+      const limit = Math.min(sameTag.length, RESOLVER_MAX_CANDIDATES);
+      for (let i = 0; i < limit; i++) {
+        candidates.add(sameTag[i]);
+      }
+    }
+
+    return candidates;
+  }
+
+  static score(element, info, bySelector, byXPath) {
+    const attributes = info.attributes || {};
+    const signals = [];
+    let available = 0;
+    let matched = 0;
+
+    const check = (signal, present, similarity) => {
+      if (!present) return;
+      available += RESOLVER_WEIGHTS[signal];
+      const value = similarity();
+      if (value > 0) {
+        matched += RESOLVER_WEIGHTS[signal] * value;
+        signals.push(signal);
+      }
+    };
+
+    check('selector', info.selector, () => element === bySelector ? 1 : 0);
+    check('xpath', info.xpath, () => element === byXPath ? 1 : 0);
+    check('id', attributes.id, () => element.id === attributes.id ? 1 : 0);
+    check('testId', attributes['data-testid'], () => element.getAttribute('data-testid') === attributes['data-testid'] ? 1 : 0);
+    check('name', attributes.name, () => element.getAttribute('name') === attributes.name ? 1 : 0);
+    check('ariaLabel', attributes['aria-label'], () => element.getAttribute('aria-label') === attributes['aria-label'] ? 1 : 0);
+    check('role', attributes.role, () => element.getAttribute('role') === attributes.role ? 1 : 0);
+    check('type', attributes.type, () => element.type === attributes.type ? 1 : 0);
+    check('tag', info.tag, () => element.tagName === info.tag ? 1 : 0);
+    check('text', info.text, () => this.textSimilarity(element, info.text));
+    check('className', typeof attributes.class === 'string' && attributes.class, () => this.classSimilarity(element, attributes.class));
+    check('position', info.position, () => this.positionSimilarity(element, info.position));
+
+    return {
+      element,
+      signals,
+      confidence: available > 0 ? matched / available : 0
+    };
+  }
+
+  // Compared without whitespace, since text read node by node does not have
+  // the line breaks innerText puts between blocks
+  static textSimilarity(element, recorded) {
+    const expected = this.normalizeText(recorded).replace(/ /g, '');
+    const text = this.leadingText(element, RESOLVER_MAX_TEXT_LENGTH) || element.value || element.placeholder || '';
+    const actual = this.normalizeText(text).replace(/ /g, '').substring(0, expected.length || 100);
+
+    if (!expected || !actual) return 0;
+    if (expected === actual) return 1;
+    if (actual.includes(expected) || expected.includes(actual)) return 0.6;
+    return 0;
+  }
+
+  // The start of the element's text, read one text node at a time rather
+  // than through innerText, which lays out the page and reads the whole subtree
+  static leadingText(element, length) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    let text = '';
+    while (text.length < length && walker.nextNode()) {
+      text += ` ${walker.currentNode.data}`;
+    }
+    return text.substring(0, length);
+  }
+
+  static classSimilarity(element, recorded) {
+    const expected = recorded.split(/\s+/).filter(Boolean);
+    const actual = new Set(element.classList);
+    if (expected.length === 0 || actual.size === 0) return 0;
+
+    const shared = expected.filter(c => actual.has(c)).length;
+    return shared / new Set([...expected, ...actual]).size;
+  }
+
+  static positionSimilarity(element, position) {
+    const rect = element.getBoundingClientRect();
+    const dx = rect.left + window.scrollX - position.x;
+    const dy = rect.top + window.scrollY - position.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    // Anything further than 500px away carries no positional evidence
+    return Math.max(0, 1 - distance / 500);
+  }
+
+  static normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  static shadowRoot(info) {
+    if (!info.shadowPath || info.shadowPath.length < 2) return null;
+
+    const host = this.querySelector(info.shadowPath.slice(0, -1).join(' >>> '));
+    return host?.shadowRoot || null;
+  }
+
+  // Selectors pierce open shadow roots at each " >>> "
+  static querySelector(selector) {
+    if (!selector) return null;
+
+    try {
+      let element = null;
+      let root = document;
+      for (const part of selector.split(' >>> ')) {
+        element = root?.querySelector(part);
+        if (!element) return null;
+        root = element.shadowRoot;
+      }
+      return element;
+    } catch (error) {
+      console.log('Invalid recorded selector:', selector);
+      return null;
+    }
+  }
+
+  // Every match of the last part of a selector, inside the shadow root the
+  // parts before it lead to
+  static querySelectorAll(selector) {
+    if (!selector) return [];
+
+    const parts = selector.split(' >>> ');
+    const root = parts.length > 1
+      ? this.querySelector(parts.slice(0, -1).join(' >>> '))?.shadowRoot
+      : document;
+    if (!root) return [];
+
+    try {
+      return Array.from(root.querySelectorAll(parts[parts.length - 1]));
+    } catch (error) {
+      console.log('Invalid recorded selector:', selector);
+      return [];
+    }
+  }
+
+  static evaluateXPath(xpath) {
+    // ElementSelector.getXPath numbers elements below <body>, so resolve
+    // its "(//*)[n]" form relative to the body rather than the document.
+    const indexed = /^\(\/\/\*\)\[(\d+)\]$/.exec(xpath);
+    const expression = indexed ? `(.//*)[${indexed[1]}]` : xpath;
+    const context = indexed ? document.body : document;
+
+    try {
+      const result = document.evaluate(expression, context, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
+      return result.singleNodeValue;
+    } catch (error) {
+      console.log('Invalid recorded xpath:', xpath);
+      return null;
+    }
+  }
+}
+
+class ActionReplayer {
+  constructor() {
+    this.submittedForms = new WeakMap();
+
+    // Clicking a submit button already submits its form, so the recorded
+    // submit step that follows must not submit it a second time.
+    document.addEventListener('submit', (e) => {
+      this.submittedForms.set(e.target, Date.now());
+    }, true);
+  }
+
+  async replay(step) {
+    if (step.type === 'scroll') {
+      return this.replayScroll(step);
+    }
+
+    if (step.type === 'assert') {
+      return this.replayAssertion(step);
+    }
+
+    if (step.type === 'drag') {
+      return this.replayDrag(step);
+    }
+
+    const resolved = await this.findElement(step.element);
+    let element = resolved?.element;
+    if (!element) {
+      // Keys are still meaningful when sent to whatever has focus
+      if (step.type === 'keypress') {
+        element = document.activeElement || document.body;
+        while (element.shadowRoot?.activeElement) {
+          element = element.shadowRoot.activeElement;
+        }
+      } else {
+        return { success: false, error: `Element not found: ${step.element?.selector || 'unknown'}` };
+      }
+    }
+
+    element.scrollIntoView({ block: 'center', inline: 'center' });
+
+    const result = this.perform(element, step);
+    if (resolved) {
+      result.strategy = resolved.strategy;
+      result.confidence = resolved.confidence;
+    }
+    return result;
+  }
+
+  perform(element, step) {
+    switch (step.type) {
+      case 'click':
+        this.dispatchPointerSequence(element);
+        element.click();
+        return { success: true };
+
+      case 'dblclick':
+        // The two clicks of a double click are recorded as their own steps
+        element.dispatchEvent(new MouseEvent('dblclick', { bubbles: true, composed: true, cancelable: true, view: window, detail: 2 }));
+        return { success: true };
+
+      case 'input':
+        return this.replayInput(element, step);
+
+      case 'select':
+        if (REPLAY_MASKED_PATTERN.test(step.value || '')) {
+          return { success: false, skipped: true, error: 'Value was masked during recording' };
+        }
+        this.setNativeValue(element, step.value);
+        element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+        return { success: element.value === step.value, error: element.value === step.value ? undefined : `Option "${step.value}" not available` };
+
+      case 'checkbox':
+      case 'radio':
+        if (element.checked !== step.checked) {
+          element.click();
+        }
+        return { success: element.checked === step.checked };
+
+      case 'keypress':
+        this.replayKey(element, step);
+        return { success: true };
+
+      case 'submit':
+        return this.replaySubmit(element);
+
+      case 'format':
+        return this.replayFormat(element, step);
+
+      default:
+        return { success: false, skipped: true, error: `Unsupported action type: ${step.type}` };
+    }
+  }
+
+  // Assertions wait for the expected state like test runners do, so a page
+  // that is still rendering does not fail the check
+  async replayAssertion(step, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      const resolved = ElementResolver.resolve(step.element);
+      const result = this.checkAssertion(resolved?.element, step);
+      if (result.success || result.skipped || Date.now() > deadline) {
+        if (resolved) {
+          result.strategy = resolved.strategy;
+          result.confidence = resolved.confidence;
+        }
+        return result;
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+  }
+
+  checkAssertion(element, step) {
+    if (!element) {
+      return { success: false, error: `Element not found: ${step.element?.selector || 'unknown'}` };
+    }
+
+    switch (step.assertion) {
+      case 'visible': {
+        const rect = element.getBoundingClientRect();
+        const style = getComputedStyle(element);
+        const visible = rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+        return visible ? { success: true } : { success: false, error: 'Element is not visible' };
+      }
+
+      case 'text': {
+        const actual = (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim();
+        return actual.includes(step.expected)
+          ? { success: true }
+          : { success: false, error: `Expected text "${step.expected}", found "${actual.substring(0, 100)}"` };
+      }
+
+      case 'value':
+        return element.value === step.expected
+          ? { success: true }
+          : { success: false, error: `Expected value "${step.expected}", found "${element.value}"` };
+
+      default:
+        return { success: false, skipped: true, error: `Unsupported assertion: ${step.assertion}` };
+    }
+  }
+
+  async replayDrag(step) {
+    if (step.dragKind === 'file') {
+      return { success: false, skipped: true, error: 'Dropped files cannot be replayed' };
+    }
+
+    const source = await this.findElement(step.element);
+    if (!source) {
+      return { success: false, error: `Element not found: ${step.element?.selector || 'unknown'}` };
+    }
+    source.element.scrollIntoView({ block: 'center', inline: 'center' });
+
+    const result = step.dragKind === 'html5'
+      ? await this.replayHtml5Drag(source.element, step)
+      : this.replayPointerPath(source.element, step.path || []);
+    result.strategy = source.strategy;
+    result.confidence = source.confidence;
+    return result;
+  }
+
+  async replayHtml5Drag(source, step) {
+    const target = await this.findElement(step.target);
+    if (!target) {
+      return { success: false, error: `Drop target not found: ${step.target?.selector || 'unknown'}` };
+    }
+
+    const dataTransfer = new DataTransfer();
+    const at = element => {
+      const rect = element.getBoundingClientRect();
+      return { clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 };
+    };
+    const fire = (element, type) => element.dispatchEvent(new DragEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      dataTransfer,
+      ...at(element)
+    }));
+
+    fire(source, 'dragstart');
+    fire(target.element, 'dragenter');
+    fire(target.element, 'dragover');
+    fire(target.element, 'drop');
+    fire(source, 'dragend');
+    return { success: true };
+  }
+
+  // Points are relative to the dragged element, which may have moved since
+  // recording. Moves go to whatever is under the pointer, as they would for
+  // a real pointer without capture.
+  replayPointerPath(source, path) {
+    if (path.length === 0) {
+      return { success: false, error: 'Drag has no recorded path' };
+    }
+
+    const rect = source.getBoundingClientRect();
+    const points = path.map(point => ({ clientX: rect.left + point.x, clientY: rect.top + point.y }));
+    const fire = (element, pointerType, mouseType, point, buttons) => {
+      const init = { bubbles: true, cancelable: true, composed: true, view: window, button: 0, buttons, ...point };
+      element.dispatchEvent(new PointerEvent(pointerType, { ...init, pointerId: 1, isPrimary: true, pointerType: 'mouse' }));
+      element.dispatchEvent(new MouseEvent(mouseType, init));
+    };
+    const elementAt = point => document.elementFromPoint(point.clientX, point.clientY) || source;
+
+    fire(source, 'pointerdown', 'mousedown', points[0], 1);
+    points.slice(1).forEach(point => fire(elementAt(point), 'pointermove', 'mousemove', point, 1));
+    fire(elementAt(points[points.length - 1]), 'pointerup', 'mouseup', points[points.length - 1], 0);
+    return { success: true };
+  }
+
+  replayInput(element, step) {
+    const value = step.value || '';
+
+    if (REPLAY_MASKED_PATTERN.test(value)) {
+      return { success: false, skipped: true, error: 'Value was masked during recording' };
+    }
+
+    element.focus();
+
+    // Rich-text editors keep their own model of the content and only pick up
+    // edits that arrive as real editing commands
+    if (element.isContentEditable) {
+      const selection = element.ownerDocument.getSelection();
+      const range = document.createRange();
+      range.selectNodeContents(element);
+      selection.removeAllRanges();
+      selection.addRange(range);
+      document.execCommand(value ? 'insertText' : 'delete', false, value);
+      return { success: true };
+    }
+
+    this.setNativeValue(element, value);
+    element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    return { success: true };
+  }
+
+  // Shortcuts go to the editor first, since many handle them on keydown; the
+  // browser's own command runs if the editor leaves it alone
+  replayFormat(element, step) {
+    element.focus();
+    // Masked selections can't be found again, so the format applies to
+    // whatever is selected
+    if (step.selection && !REPLAY_MASKED_PATTERN.test(step.selection) && !this.selectText(element, step.selection)) {
+      return { success: false, error: `Text "${step.selection}" not found in editor` };
+    }
+
+    let handled = false;
+    if (step.key) {
+      handled = !element.dispatchEvent(new KeyboardEvent('keydown', {
+        key: step.key,
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        ctrlKey: !!step.modifiers?.ctrl,
+        metaKey: !!step.modifiers?.meta
+      }));
+    }
+    if (!handled) {
+      document.execCommand(step.command);
+    }
+    return { success: true };
+  }
+
+  // Selects the first occurrence of text inside a single text node
+  selectText(element, text) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const index = walker.currentNode.data.indexOf(text);
+      if (index >= 0) {
+        const range = document.createRange();
+        range.setStart(walker.currentNode, index);
+        range.setEnd(walker.currentNode, index + text.length);
+        const selection = element.ownerDocument.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async replayScroll(step) {
+    if (!step.element) {
+      window.scrollTo(step.viewport?.scrollX || 0, step.viewport?.scrollY || 0);
+      return { success: true };
+    }
+
+    const resolved = await this.findElement(step.element);
+    if (!resolved) {
+      return { success: false, error: `Scroll container not found: ${step.element.selector || 'unknown'}` };
+    }
+
+    resolved.element.scrollTo(step.scrollLeft || 0, step.scrollTop || 0);
+    return { success: true, strategy: resolved.strategy, confidence: resolved.confidence };
+  }
+
+  replayKey(element, step) {
+    const init = {
+      key: step.key,
+      code: step.code,
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      altKey: !!step.modifiers?.alt,
+      ctrlKey: !!step.modifiers?.ctrl,
+      metaKey: !!step.modifiers?.meta,
+      shiftKey: !!step.modifiers?.shift
+    };
+
+    for (let i = 0; i < (step.count || 1); i++) {
+      element.dispatchEvent(new KeyboardEvent('keydown', { ...init, repeat: i > 0 }));
+    }
+    element.dispatchEvent(new KeyboardEvent('keyup', init));
+  }
+
+  replaySubmit(element) {
+    const form = element.tagName === 'FORM' ? element : element.closest('form');
+    if (!form) {
+      return { success: false, error: 'Submit target is not inside a form' };
+    }
+
+    if (Date.now() - (this.submittedForms.get(form) || 0) < 2000) {
+      return { success: true, note: 'Form was submitted by the previous step' };
+    }
+
+    if (form.requestSubmit) {
+      form.requestSubmit();
+    } else {
+      form.submit();
+    }
+    return { success: true };
+  }
+
+  dispatchPointerSequence(element) {
+    const rect = element.getBoundingClientRect();
+    const init = {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      view: window,
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2
+    };
+
+    element.dispatchEvent(new PointerEvent('pointerdown', init));
+    element.dispatchEvent(new MouseEvent('mousedown', init));
+    element.dispatchEvent(new PointerEvent('pointerup', init));
+    element.dispatchEvent(new MouseEvent('mouseup', init));
+  }
+
+  setNativeValue(element, value) {
+    // Frameworks like React track the value property, so go through the
+    // prototype setter instead of assigning to the instance.
+    const prototype = Object.getPrototypeOf(element);
+    const descriptor = Object.getOwnPropertyDescriptor(prototype, 'value');
+
+    if (descriptor?.set) {
+      descriptor.set.call(element, value);
+    } else {
+      element.value = value;
+    }
+  }
+
+  async findElement(info, timeout = 5000) {
+    if (!info) return null;
+
+    const deadline = Date.now() + timeout;
+    while (true) {
+      const resolved = ElementResolver.resolve(info);
+      if (resolved || Date.now() > deadline) {
+        return resolved;
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+  }
+}
+
+const replayer = new ActionReplayer();
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  switch (request.action) {
+    case 'replayPing':
+      sendResponse({ ready: true });
+      break;
+
+    case 'replayAction':
+      replayer.replay(request.step)
+        .then(result => sendResponse(result))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+  }
+});
\ No newline at end of file
@@ -0,0 +1,359 @@
+// Screenshots of recorded steps, with the page's redacted content hidden and
+// the step's target marked. Loaded into the service worker with importScripts
+// from background.js. Each frame's content script reports where its redacted
+// elements and masked text are; everything is drawn onto the captured image
+// offscreen, so the page itself never changes. Full-page screenshots are the
+// exception: the page is scrolled while they are taken, then put back.
+
+// Blurring scales each region down by this factor and back up
+const REDACTION_BLUR_FACTOR = 16;
+// Extra pixels around each region, for rounding and antialiased edges
+const REDACTION_PADDING = 2;
+
+const ANNOTATION_COLOR = '#ff5722';
+const ANNOTATION_FILL = 'rgba(255, 87, 34, 0.12)';
+
+// Chrome allows two captureVisibleTab calls per second
+const CAPTURE_INTERVAL = 550;
+// Full-page screenshots of longer pages keep this much around the step, in
+// device pixels, so the stitched image stays within canvas limits
+const FULL_PAGE_MAX_HEIGHT = 12000;
+
+// Encodings offered in the settings
+const SCREENSHOT_TYPES = {
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+// Width of the perceptual hash thumbnail; one bit per cell
+const HASH_SIZE = 16;
+
+// Screenshots are taken one at a time: a full-page one scrolls the page, and
+// nothing else may be captured until it is put back
+let captureLock = Promise.resolve();
+let lastCaptureTime = 0;
+
+function captureStepScreenshot(tab, annotation = null) {
+  const capture = captureLock.then(() => takeStepScreenshot(tab, annotation));
+  captureLock = capture.catch(() => {});
+  return capture;
+}
+
+async function takeStepScreenshot(tab, annotation) {
+  const { privacy, screenshots } = await loadSettings();
+  const session = recordingManager.getSession(tab.id);
+  const mode = session?.metadata.screenshotMode || screenshots.mode;
+
+  const step = screenshots.stepNumbers && session && annotation?.event
+    ? stepNumberAt(session, tab.id, annotation)
+    : null;
+
+  const capture = mode === 'fullPage'
+    ? await captureFullPage(tab)
+    : await captureViewport(tab);
+  const target = annotation ? shiftAnnotation(annotation, capture.area || { x: 0, y: 0 }) : null;
+  const marked = screenshots.annotate ? target : null;
+  const crop = mode !== 'viewport' ? target?.box : null;
+  // Screenshots that look the same are only interchangeable when the same
+  // marks are drawn on them
+  const marks = JSON.stringify([marked?.box, marked?.pointer, step], (key, value) => typeof value === 'number' ? Math.round(value) : value);
+
+  const canvas = await capture.render();
+  // The capture is in device pixels, regions and annotations in CSS pixels
+  const scale = capture.area ? canvas.width / capture.area.width : 1;
+  decorateScreenshot(canvas, {
+    regions: capture.regions,
+    scale,
+    style: privacy.screenshotRedaction,
+    annotation: marked,
+    step
+  });
+
+  const result = {
+    screenshot: await encodeScreenshot(canvas, screenshots),
+    screenshotHash: screenshotHash(canvas, marks)
+  };
+  if (crop) {
+    const cropCanvas = cropScreenshot(canvas, crop, screenshots.padding, scale);
+    result.screenshotCrop = await encodeScreenshot(cropCanvas, screenshots);
+    result.screenshotCropHash = screenshotHash(cropCanvas, marks);
+  }
+  if (mode === 'fullPage') {
+    result.screenshotArea = capture.area;
+  }
+  return result;
+}
+
+// Steps are numbered like the exported recording numbers them: the events
+// recorded before this one, and this one, compacted into steps
+function stepNumberAt(session, tabId, annotation) {
+  const current = {
+    ...annotation.event,
+    id: crypto.randomUUID(),
+    tab: session.tabs.indexOf(tabId),
+    timestamp: annotation.timestamp
+  };
+  const actions = session.actions
+    .filter(action => action.timestamp <= annotation.timestamp)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const steps = compactSteps([...actions, current], { inProgress: true });
+  return steps.findIndex(step => step.actionIds.includes(current.id)) + 1;
+}
+
+// The redaction regions are collected after waiting for Chrome's capture
+// limit, right before the capture, so the page cannot scroll or reflow in
+// between and move what they should cover
+async function captureVisibleTab(tab) {
+  const wait = lastCaptureTime + CAPTURE_INTERVAL - Date.now();
+  if (wait > 0) {
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+
+  const redaction = await collectRedactionRegions(tab.id);
+  lastCaptureTime = Date.now();
+  const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+  return { ...redaction, dataUrl };
+}
+
+async function captureViewport(tab) {
+  const { regions, viewport, dataUrl } = await captureVisibleTab(tab);
+
+  return {
+    regions,
+    area: viewport ? { x: 0, y: 0, width: viewport.width, height: viewport.height } : null,
+    render: async () => {
+      const bitmap = await createImageBitmap(await dataUrlToBlob(dataUrl));
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      canvas.getContext('2d').drawImage(bitmap, 0, 0);
+      bitmap.close();
+      return canvas;
+    }
+  };
+}
+
+// Scrolls the top-level page one viewport at a time and stitches the slices.
+// The area is where the image lies in the viewport the step happened in.
+async function captureFullPage(tab) {
+  const page = await runInTopFrame(tab.id, () => pageCapture.begin());
+  const height = Math.min(page.pageHeight, Math.floor(FULL_PAGE_MAX_HEIGHT / page.devicePixelRatio));
+  const top = Math.max(0, Math.min(page.pageHeight - height, Math.round(page.scrollY + page.height / 2 - height / 2)));
+
+  const slices = [];
+  const regions = [];
+  try {
+    for (let y = top; y < top + height; y += page.height) {
+      const scrollY = await runInTopFrame(tab.id, (offset) => pageCapture.scrollTo(offset), [y]);
+      const { regions: sliceRegions, dataUrl } = await captureVisibleTab(tab);
+      slices.push({ y: scrollY - top, dataUrl });
+      regions.push(...sliceRegions.map(region => ({ ...region, y: region.y + scrollY - top })));
+      if (scrollY + page.height >= top + height) break;
+    }
+  } finally {
+    await runInTopFrame(tab.id, () => pageCapture.end());
+  }
+
+  return {
+    regions,
+    area: { x: 0, y: top - page.scrollY, width: page.width, height },
+    render: async () => {
+      const bitmaps = await Promise.all(slices.map(async slice => createImageBitmap(await dataUrlToBlob(slice.dataUrl))));
+      const scale = bitmaps[0].width / page.width;
+      const canvas = new OffscreenCanvas(bitmaps[0].width, Math.round(height * scale));
+      const context = canvas.getContext('2d');
+      bitmaps.forEach((bitmap, index) => {
+        context.drawImage(bitmap, 0, Math.round(slices[index].y * scale));
+        bitmap.close();
+      });
+      return canvas;
+    }
+  };
+}
+
+async function runInTopFrame(tabId, func, args = []) {
+  const [{ result }] = await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [0] },
+    func,
+    args
+  });
+  return result;
+}
+
+// Regions from every frame of the tab, in the top-level viewport. A frame
+// that cannot report its regions, because it has no content script or could
+// not find where it sits, might show what should be hidden, so there is no
+// screenshot at all.
+async function collectRedactionRegions(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    // Runs next to content.js, where redactor is defined
+    func: () => typeof redactor === 'undefined' ? null : redactor.screenshotRegions()
+  });
+
+  const regions = [];
+  let viewport = null;
+  for (const { frameId, result } of results) {
+    if (!result) {
+      throw new Error(`Frame ${frameId} did not report its redaction regions`);
+    }
+    regions.push(...result.regions);
+    if (frameId === 0) viewport = result.viewport;
+  }
+  return { regions, viewport };
+}
+
+// Annotations are in the viewport the step happened in; move them onto the
+// captured area
+function shiftAnnotation(annotation, area) {
+  const shift = ({ x, y, ...rest }) => ({ ...rest, x: x - area.x, y: y - area.y });
+  return {
+    ...annotation,
+    box: annotation.box ? shift(annotation.box) : null,
+    pointer: annotation.pointer ? shift(annotation.pointer) : null
+  };
+}
+
+function decorateScreenshot(canvas, { regions, scale, style = 'blur', annotation = null, step = null }) {
+  const context = canvas.getContext('2d');
+
+  for (const region of regions) {
+    redactRegion(context, region, scale, style);
+  }
+  if (annotation?.box) {
+    drawTargetBox(context, annotation.box, scale);
+  }
+  if (annotation?.pointer) {
+    drawClickMarker(context, annotation.pointer, scale);
+  }
+  if (step) {
+    drawStepBadge(context, step, annotation?.box, scale);
+  }
+}
+
+// The target with some of its surroundings, after redaction and annotations
+// are drawn
+function cropScreenshot(canvas, box, padding, scale) {
+  const x = Math.max(0, Math.floor((box.x - padding) * scale));
+  const y = Math.max(0, Math.floor((box.y - padding) * scale));
+  const width = Math.max(1, Math.min(canvas.width, Math.ceil((box.x + box.width + padding) * scale)) - x);
+  const height = Math.max(1, Math.min(canvas.height, Math.ceil((box.y + box.height + padding) * scale)) - y);
+
+  const crop = new OffscreenCanvas(width, height);
+  crop.getContext('2d').drawImage(canvas, x, y, width, height, 0, 0, width, height);
+  return crop;
+}
+
+async function encodeScreenshot(canvas, { format, quality }) {
+  return blobToDataUrl(await canvas.convertToBlob({
+    type: SCREENSHOT_TYPES[format] || SCREENSHOT_TYPES.png,
+    quality: quality / 100
+  }));
+}
+
+// A difference hash: each bit tells whether a cell of a small grayscale
+// thumbnail is brighter than the cell to its right. The storage compares it
+// to the recording's earlier screenshots to keep near-identical ones once.
+function screenshotHash(canvas, marks) {
+  const thumbnail = new OffscreenCanvas(HASH_SIZE + 1, HASH_SIZE);
+  const context = thumbnail.getContext('2d', { willReadFrequently: true });
+  context.imageSmoothingEnabled = true;
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+
+  const { data } = context.getImageData(0, 0, thumbnail.width, thumbnail.height);
+  const brightness = (x, y) => {
+    const i = (y * thumbnail.width + x) * 4;
+    return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+  };
+
+  let image = '';
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x += 4) {
+      let nibble = 0;
+      for (let bit = 0; bit < 4; bit++) {
+        nibble = (nibble << 1) | (brightness(x + bit, y) > brightness(x + bit + 1, y) ? 1 : 0);
+      }
+      image += nibble.toString(16);
+    }
+  }
+
+  return { image, width: canvas.width, height: canvas.height, marks };
+}
+
+function redactRegion(context, region, scale, style) {
+  const { canvas } = context;
+  const x = Math.max(0, Math.floor((region.x - REDACTION_PADDING) * scale));
+  const y = Math.max(0, Math.floor((region.y - REDACTION_PADDING) * scale));
+  const width = Math.min(canvas.width, Math.ceil((region.x + region.width + REDACTION_PADDING) * scale)) - x;
+  const height = Math.min(canvas.height, Math.ceil((region.y + region.height + REDACTION_PADDING) * scale)) - y;
+  if (width <= 0 || height <= 0) return;
+
+  if (style === 'box') {
+    context.fillStyle = '#000';
+    context.fillRect(x, y, width, height);
+    return;
+  }
+
+  const small = new OffscreenCanvas(
+    Math.max(1, Math.round(width / REDACTION_BLUR_FACTOR)),
+    Math.max(1, Math.round(height / REDACTION_BLUR_FACTOR))
+  );
+  small.getContext('2d').drawImage(canvas, x, y, width, height, 0, 0, small.width, small.height);
+  context.imageSmoothingEnabled = true;
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(small, 0, 0, small.width, small.height, x, y, width, height);
+}
+
+function drawTargetBox(context, box, scale) {
+  const padding = 4 * scale;
+  context.save();
+  context.lineWidth = 3 * scale;
+  context.strokeStyle = ANNOTATION_COLOR;
+  context.fillStyle = ANNOTATION_FILL;
+  context.beginPath();
+  context.roundRect(box.x * scale - padding, box.y * scale - padding, box.width * scale + padding * 2, box.height * scale + padding * 2, 6 * scale);
+  context.fill();
+  context.stroke();
+  context.restore();
+}
+
+function drawClickMarker(context, pointer, scale) {
+  const x = pointer.x * scale;
+  const y = pointer.y * scale;
+  context.save();
+  context.lineWidth = 3 * scale;
+  context.strokeStyle = ANNOTATION_COLOR;
+  context.fillStyle = ANNOTATION_FILL;
+  context.beginPath();
+  context.arc(x, y, 14 * scale, 0, Math.PI * 2);
+  context.fill();
+  context.stroke();
+  context.fillStyle = ANNOTATION_COLOR;
+  context.beginPath();
+  context.arc(x, y, 4 * scale, 0, Math.PI * 2);
+  context.fill();
+  context.restore();
+}
+
+// Sits on the top-left corner of the target, or of the screenshot for steps
+// without one
+function drawStepBadge(context, step, box, scale) {
+  const radius = 14 * scale;
+  const x = Math.max(radius, Math.min(context.canvas.width - radius, box ? box.x * scale : radius * 1.5));
+  const y = Math.max(radius, Math.min(context.canvas.height - radius, box ? box.y * scale : radius * 1.5));
+
+  context.save();
+  context.fillStyle = ANNOTATION_COLOR;
+  context.strokeStyle = '#fff';
+  context.lineWidth = 2 * scale;
+  context.beginPath();
+  context.arc(x, y, radius, 0, Math.PI * 2);
+  context.fill();
+  context.stroke();
+  context.fillStyle = '#fff';
+  context.font = `bold ${Math.round((step > 99 ? 11 : 14) * scale)}px system-ui, sans-serif`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(String(step), x, y + scale);
+  context.restore();
+}
\ No newline at end of file
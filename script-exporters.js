@@ -0,0 +1,951 @@
+// Turns a saved recording into a runnable browser automation script.
+// Loaded into the service worker with importScripts from background.js.
+
+// maskSensitiveData replaces whole values with asterisks and the local part
+// of e-mail addresses with "***"
+const MASKED_VALUE_PATTERN = /^\*+$|\*\*\*/;
+
+const IMPLICIT_ROLES = {
+  A: 'link',
+  BUTTON: 'button',
+  SELECT: 'combobox',
+  TEXTAREA: 'textbox'
+};
+
+function scriptQuote(value) {
+  return `'${String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n')}'`;
+}
+
+function scriptComment(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim().substring(0, 80);
+}
+
+function scriptHeader(recording) {
+  return [
+    `// ${scriptComment(recording.metadata?.title || 'Recording')}`,
+    `// Recorded on ${recording.url}`,
+    '// Generated by Demo Recorder'
+  ].join('\n');
+}
+
+function isMaskedValue(value) {
+  return typeof value === 'string' && MASKED_VALUE_PATTERN.test(value);
+}
+
+// Masked values cannot be replayed, so each masked field gets a named
+// constant that the generated script reads from the environment.
+function collectPlaceholders(actions) {
+  const bySelector = new Map();
+  const used = new Set();
+
+  for (const action of actions) {
+    if (!isMaskedValue(action.value)) continue;
+
+    const key = action.element?.selector || action.id;
+    if (bySelector.has(key)) continue;
+
+    const attributes = action.element?.attributes || {};
+    const base = String(attributes.name || attributes.id || attributes['aria-label'] || attributes.type || 'value')
+      .replace(/([a-z])([A-Z])/g, '$1_$2')
+      .replace(/[^a-zA-Z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .toUpperCase() || 'VALUE';
+
+    let name = /^[0-9]/.test(base) ? `VALUE_${base}` : base;
+    for (let i = 2; used.has(name); i++) {
+      name = `${base}_${i}`;
+    }
+
+    used.add(name);
+    bySelector.set(key, name);
+  }
+
+  return {
+    names: [...bySelector.values()],
+    get(action) {
+      return bySelector.get(action.element?.selector || action.id);
+    }
+  };
+}
+
+function placeholderDeclarations(placeholders, readEnv = name => `process.env.${name} ?? ''`) {
+  if (placeholders.names.length === 0) return '';
+
+  return [
+    '// Values masked during recording. Provide them as environment variables.',
+    ...placeholders.names.map(name => `const ${name} = ${readEnv(name)};`)
+  ].join('\n') + '\n\n';
+}
+
+function scriptValue(action, placeholders) {
+  if (isMaskedValue(action.value)) {
+    return placeholders.get(action);
+  }
+  return scriptQuote(action.value ?? '');
+}
+
+// Form fields whose text is what was typed into them, or their placeholder,
+// rather than their name
+const FORM_FIELD_TAGS = ['INPUT', 'TEXTAREA', 'SELECT'];
+const BUTTON_INPUT_TYPES = ['submit', 'button', 'reset', 'image'];
+
+function isFormField(element) {
+  return FORM_FIELD_TAGS.includes(element?.tag) && !BUTTON_INPUT_TYPES.includes(element.attributes?.type);
+}
+
+function accessibleName(element) {
+  const label = element?.attributes?.['aria-label'];
+  if (label) return label;
+  // Fields are named by their <label> or aria-labelledby
+  if (isFormField(element)) return element.label || null;
+
+  const text = (element?.text || '').trim();
+  if (text && text.length <= 50 && !text.includes('\n')) return text;
+
+  return null;
+}
+
+function stepDescription(action) {
+  const name = ['navigate', 'newTab'].includes(action.type) || action.assertion === 'url'
+    ? action.expected || action.url
+    : accessibleName(action.element) || action.element?.selector || '';
+  const type = {
+    assert: `assert ${action.assertion}`,
+    format: `format ${action.command}`,
+    keypress: `Press ${keyLabel(action)}`
+  }[action.type] || action.type;
+  const target = action.type === 'drag' && action.dragKind !== 'file'
+    ? accessibleName(action.target) || action.target?.selector
+    : null;
+  const frames = (action.frame?.path || []).map(entry => entry.selector).join(' > ');
+  return scriptComment(`${type}${name ? ` "${name}"` : ''}${target ? ` to "${target}"` : ''}${frames ? ` in frame ${frames}` : ''}`);
+}
+
+// The URL the page ended up on after this action, when it differs from the
+// URL the action was recorded on
+function navigationAfter(actions, index) {
+  const current = actions[index];
+  const tab = current.tab || 0;
+  const following = actions.slice(index + 1).filter(action => !TAB_ACTIONS.includes(action.type));
+  const nextIndex = following.findIndex(action => (action.tab || 0) === tab);
+  // Work done in another tab in between could just as well have caused it
+  const next = following.slice(0, nextIndex).some(action => action.type !== 'navigate')
+    ? null
+    : following[nextIndex];
+
+  if (!current.url || !next?.url || next.url === current.url) {
+    return null;
+  }
+  // Navigate steps script their own page change, and the user opened the
+  // next page themselves when it is a direct navigation
+  if (current.type === 'navigate' || (next.type === 'navigate' && isDirectNavigation(next))) {
+    return null;
+  }
+  return next.url;
+}
+
+// Transition types of page loads the user started from the browser UI
+// rather than from the page
+const DIRECT_TRANSITIONS = ['typed', 'auto_bookmark', 'generated', 'keyword', 'keyword_generated', 'start_page', 'reload'];
+
+function isDirectNavigation(action) {
+  return action.navigationKind === 'load' &&
+    (DIRECT_TRANSITIONS.includes(action.transitionType) || (action.transitionQualifiers || []).includes('forward_back'));
+}
+
+// How a navigate step is scripted: 'reload', 'goto' for pages the user
+// opened directly, 'wait' for navigations caused by the page, or null when
+// the step before already waits for this URL
+function navigationKind(actions, index) {
+  const action = actions[index];
+
+  if (action.transitionType === 'reload' && action.navigationKind === 'load') return 'reload';
+  if (isDirectNavigation(action)) return 'goto';
+
+  // The first page of a new tab loads as part of opening it
+  const previous = actions.slice(0, index).reverse().find(other => (other.tab || 0) === (action.tab || 0));
+  if (previous?.type === 'newTab') return null;
+
+  const triggering = actions.slice(0, index).reverse()
+    .findIndex(other => (other.tab || 0) === (action.tab || 0) && !TAB_ACTIONS.includes(other.type));
+  return triggering >= 0 && navigationAfter(actions, index - 1 - triggering) === action.url ? null : 'wait';
+}
+
+// Steps that open, switch or close tabs rather than act on a page
+const TAB_ACTIONS = ['newTab', 'switchTab', 'closeTab'];
+
+// Tab 0 is the tab the recording started in
+function pageVariable(tab) {
+  return tab ? `page${tab}` : 'page';
+}
+
+// The index of the step that opened the tab of a newTab step, or -1 when it
+// was not recorded (the user opened the tab from the browser UI, say)
+function tabOpenerIndex(actions, index) {
+  const action = actions[index];
+
+  for (let i = index - 1; i >= 0; i--) {
+    const candidate = actions[i];
+    if (['navigate', 'switchTab'].includes(candidate.type)) continue;
+    if (candidate.type === 'submit' && isImplicitSubmit(actions, i)) continue;
+
+    const opens = ['click', 'dblclick', 'keypress', 'submit'].includes(candidate.type) &&
+      (candidate.tab || 0) === (action.openerTab || 0);
+    return opens ? i : -1;
+  }
+  return -1;
+}
+
+// The newTab step for a tab opened by the step at index, if any
+function tabOpenedBy(actions, index) {
+  return actions.find((action, i) => i > index && action.type === 'newTab' && tabOpenerIndex(actions, i) === index);
+}
+
+// The URL a tab was last seen on before the step at index
+function lastTabUrl(actions, index, tab) {
+  const previous = actions.slice(0, index).reverse().find(action => (action.tab || 0) === tab && action.url);
+  return previous?.url || null;
+}
+
+// Submitting a form with a button click or the Enter key records both the
+// trigger and the submit event; only the trigger needs to be scripted.
+function isImplicitSubmit(actions, index) {
+  const previous = actions[index - 1];
+  if (!previous) return false;
+
+  if (previous.type === 'keypress') {
+    return previous.key === 'Enter';
+  }
+  if (previous.type === 'click') {
+    const type = previous.element?.attributes?.type;
+    return previous.element?.tag === 'BUTTON' ? type !== 'button' : type === 'submit';
+  }
+  return false;
+}
+
+// Selectors of the shadow hosts enclosing an element, outermost first
+function shadowHosts(element) {
+  return element.shadowPath ? element.shadowPath.slice(0, -1) : [];
+}
+
+const MODIFIER_NAMES = { ctrl: 'Control', alt: 'Alt', shift: 'Shift', meta: 'Meta' };
+
+function heldModifiers(action) {
+  return Object.keys(MODIFIER_NAMES).filter(key => action.modifiers?.[key]);
+}
+
+function modifierNames(action) {
+  return heldModifiers(action).map(key => MODIFIER_NAMES[key]);
+}
+
+// Option on macOS turns letters into other characters (Alt+P types "π"), so
+// chords name the physical key instead
+function chordKey(action) {
+  const physical = /^(?:Key|Digit)(\w)$/.exec(action.code || '');
+  const chord = action.modifiers?.alt || action.modifiers?.ctrl || action.modifiers?.meta;
+  if (physical && chord && action.key?.length === 1) {
+    return action.modifiers.shift ? physical[1] : physical[1].toLowerCase();
+  }
+  return action.key;
+}
+
+const KEY_LABELS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Escape: 'Esc',
+  PageUp: 'Page Up',
+  PageDown: 'Page Down',
+  ' ': 'Space'
+};
+
+// Chords with the Command key are written the way macOS menus show them
+// ("⌘⇧P"), others with their names ("Ctrl+Shift+P")
+function keyLabel(action) {
+  const key = chordKey(action) || '';
+  const name = KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+  const held = names => Object.keys(names).filter(modifier => action.modifiers?.[modifier]).map(modifier => names[modifier]);
+  const chord = action.modifiers?.meta
+    ? held({ ctrl: '⌃', alt: '⌥', shift: '⇧', meta: '⌘' }).join('') + name
+    : [...held({ ctrl: 'Ctrl', alt: 'Alt', shift: 'Shift' }), name].join('+');
+  return action.count > 1 ? `${chord} ×${action.count}` : chord;
+}
+
+// Where a scroll step ended: the offsets of the container it scrolled, or of
+// the window
+function scrollPosition(action) {
+  return action.element
+    ? `${action.scrollLeft || 0}, ${action.scrollTop || 0}`
+    : `${action.viewport?.scrollX || 0}, ${action.viewport?.scrollY || 0}`;
+}
+
+// A held key is recorded once, with the number of times it repeated
+function repeated(action, line) {
+  return action.count > 1 ? `for (let i = 0; i < ${action.count}; i++) ${line}` : line;
+}
+
+// The text to select before a formatting step, unless it was masked
+function formatSelection(action) {
+  return action.selection && !isMaskedValue(action.selection) ? action.selection : null;
+}
+
+// Formatting applies to the selection, so scripts that format recorded text
+// get a helper that selects it inside the editor
+function selectTextDeclaration(actions) {
+  if (!actions.some(action => action.type === 'format' && formatSelection(action))) return '';
+
+  return [
+    '// Selects text inside a rich-text editor before formatting it',
+    'const selectText = (el, text) => {',
+    '  const walker = el.ownerDocument.createTreeWalker(el, NodeFilter.SHOW_TEXT);',
+    '  while (walker.nextNode()) {',
+    '    const index = walker.currentNode.data.indexOf(text);',
+    '    if (index < 0) continue;',
+    '    const range = el.ownerDocument.createRange();',
+    '    range.setStart(walker.currentNode, index);',
+    '    range.setEnd(walker.currentNode, index + text.length);',
+    '    el.ownerDocument.getSelection().removeAllRanges();',
+    '    el.ownerDocument.getSelection().addRange(range);',
+    '    return;',
+    '  }',
+    '};'
+  ].join('\n') + '\n\n';
+}
+
+// A recorded pointer path as an array literal of [x, y] offsets from the
+// dragged element's top-left corner
+function dragPathLiteral(points) {
+  return `[${points.map(point => `[${point.x}, ${point.y}]`).join(', ')}]`;
+}
+
+function droppedFileNames(action) {
+  return (action.files || []).map(file => file.name).join(', ');
+}
+
+function indentLines(lines, indent) {
+  return lines.map(line => (line ? `${indent}${line}` : '')).join('\n');
+}
+
+function playwrightLocator(element, frame, page = 'page') {
+  if (!element?.selector) return null;
+
+  const attributes = element.attributes || {};
+  const scope = (frame?.path || [])
+    .reduce((parent, entry) => `${parent}.frameLocator(${scriptQuote(entry.selector)})`, page);
+
+  if (attributes['data-testid']) {
+    return `${scope}.getByTestId(${scriptQuote(attributes['data-testid'])})`;
+  }
+
+  const role = attributes.role || IMPLICIT_ROLES[element.tag];
+  const name = accessibleName(element);
+  if (role && name) {
+    return `${scope}.getByRole(${scriptQuote(role)}, { name: ${scriptQuote(name)} })`;
+  }
+
+  if (attributes['aria-label']) {
+    return `${scope}.getByLabel(${scriptQuote(attributes['aria-label'])})`;
+  }
+  if (isFormField(element) && element.label) {
+    return `${scope}.getByLabel(${scriptQuote(element.label)})`;
+  }
+
+  // Playwright's CSS engine pierces open shadow roots on its own
+  const selector = element.shadowPath ? element.shadowPath.join(' ') : element.selector;
+  return `${scope}.locator(${scriptQuote(selector)})`;
+}
+
+// Steps that act on their element and cannot be scripted without one
+const ELEMENT_STEP_TYPES = ['click', 'dblclick', 'input', 'select', 'checkbox', 'radio', 'submit', 'hover', 'format', 'drag'];
+
+function needsElement(action) {
+  return ELEMENT_STEP_TYPES.includes(action.type) || (action.type === 'assert' && action.assertion !== 'url');
+}
+
+function playwrightKey(action) {
+  return [...modifierNames(action), chordKey(action)].join('+');
+}
+
+function playwrightStep(actions, index, placeholders) {
+  const action = actions[index];
+  const page = pageVariable(action.tab);
+  const locator = playwrightLocator(action.element, action.frame, page);
+  if (!locator && needsElement(action)) {
+    return [`// ${action.type} skipped: no element was recorded for it`];
+  }
+
+  switch (action.type) {
+    case 'click': {
+      const modifiers = modifierNames(action);
+      const options = modifiers.length ? `{ modifiers: [${modifiers.map(scriptQuote).join(', ')}] }` : '';
+      return [`await ${locator}.click(${options});`];
+    }
+
+    case 'dblclick':
+      return [`await ${locator}.dblclick();`];
+
+    case 'input':
+      return [`await ${locator}.fill(${scriptValue(action, placeholders)});`];
+
+    case 'select':
+      return [`await ${locator}.selectOption(${scriptValue(action, placeholders)});`];
+
+    case 'checkbox':
+      return [`await ${locator}.${action.checked ? 'check' : 'uncheck'}();`];
+
+    case 'radio':
+      return action.checked ? [`await ${locator}.check();`] : [];
+
+    case 'keypress':
+      return [repeated(action, `await ${locator || `${page}.keyboard`}.press(${scriptQuote(playwrightKey(action))});`)];
+
+    case 'scroll':
+      return locator
+        ? [`await ${locator}.evaluate(el => el.scrollTo(${scrollPosition(action)}));`]
+        : [`await ${page}.evaluate(() => window.scrollTo(${scrollPosition(action)}));`];
+
+    case 'submit':
+      if (isImplicitSubmit(actions, index)) return [];
+      return [`await ${locator}.evaluate(form => form.requestSubmit());`];
+
+    case 'hover':
+      return [`await ${locator}.hover();`];
+
+    case 'navigate':
+      return {
+        goto: [`await ${page}.goto(${scriptQuote(action.url)});`],
+        reload: [`await ${page}.reload();`],
+        wait: [`await ${page}.waitForURL(${scriptQuote(action.url)});`]
+      }[navigationKind(actions, index)] || [];
+
+    case 'newTab':
+      // Tabs opened by a recorded step are caught as its popup instead
+      if (tabOpenerIndex(actions, index) >= 0) return [];
+      return [
+        `const ${page} = await ${pageVariable(action.openerTab)}.context().newPage();`,
+        `await ${page}.goto(${scriptQuote(action.url)});`
+      ];
+
+    case 'switchTab':
+      return [`await ${page}.bringToFront();`];
+
+    case 'closeTab':
+      // The page may have closed itself, as OAuth popups do
+      return [`if (!${page}.isClosed()) await ${page}.close();`];
+
+    case 'format': {
+      const selection = formatSelection(action);
+      return [
+        ...(selection ? [`await ${locator}.evaluate(selectText, ${scriptQuote(selection)});`] : []),
+        action.key
+          ? `await ${locator}.press(${scriptQuote(playwrightKey(action))});`
+          : `await ${locator}.evaluate(el => el.ownerDocument.execCommand(${scriptQuote(action.command)}));`
+      ];
+    }
+
+    case 'drag': {
+      if (action.dragKind === 'file') {
+        return [`// Files dropped here (${droppedFileNames(action)}) are not scripted`];
+      }
+      if (action.dragKind === 'html5') {
+        const target = playwrightLocator(action.target, action.frame, page);
+        return target
+          ? [`await ${locator}.dragTo(${target});`]
+          : ['// Drag skipped: no drop target was recorded for it'];
+      }
+      const [first, ...rest] = action.path;
+      return [
+        '{',
+        `  const box = await ${locator}.boundingBox();`,
+        `  await ${page}.mouse.move(box.x + ${first.x}, box.y + ${first.y});`,
+        `  await ${page}.mouse.down();`,
+        `  for (const [x, y] of ${dragPathLiteral(rest)}) await ${page}.mouse.move(box.x + x, box.y + y);`,
+        `  await ${page}.mouse.up();`,
+        '}'
+      ];
+    }
+
+    case 'assert':
+      return {
+        visible: [`await expect(${locator}).toBeVisible();`],
+        text: [`await expect(${locator}).toContainText(${scriptQuote(action.expected)});`],
+        value: [`await expect(${locator}).toHaveValue(${scriptQuote(action.expected)});`],
+        url: [`await expect(${page}).toHaveURL(new RegExp(${scriptQuote(action.pattern)}));`]
+      }[action.assertion] || [`// Unsupported assertion: ${action.assertion}`];
+
+    case 'focus':
+    case 'blur':
+      return [];
+
+    default:
+      return [`// Unsupported action: ${action.type}`];
+  }
+}
+
+function generatePlaywright(recording) {
+  const actions = recording.actions || [];
+  const stepNumbers = stepNumbersById(recording);
+  const placeholders = collectPlaceholders(actions);
+  const title = recording.metadata?.title || 'Recorded flow';
+
+  const body = [`await page.goto(${scriptQuote(recording.url)});`];
+
+  actions.forEach((action, index) => {
+    let lines = playwrightStep(actions, index, placeholders);
+    const navigation = navigationAfter(actions, index);
+    if (navigation) {
+      lines.push(`await ${pageVariable(action.tab)}.waitForURL(${scriptQuote(navigation)});`);
+    }
+
+    const opened = tabOpenedBy(actions, index);
+    if (opened) {
+      const popup = pageVariable(opened.tab);
+      lines = [
+        `const ${popup}Promise = ${pageVariable(action.tab)}.waitForEvent('popup');`,
+        ...lines,
+        `const ${popup} = await ${popup}Promise;`
+      ];
+    }
+
+    if (lines.length > 0) {
+      body.push('', `// Step ${stepNumbers.get(action.id) ?? index + 1}: ${stepDescription(action)}`, ...lines);
+    }
+  });
+
+  const imports = actions.some(action => action.type === 'assert') ? 'test, expect' : 'test';
+
+  return `${scriptHeader(recording)}
+import { ${imports} } from '@playwright/test';
+
+${placeholderDeclarations(placeholders)}${selectTextDeclaration(actions)}test(${scriptQuote(title)}, async ({ page }) => {
+${indentLines(body, '  ')}
+});
+`;
+}
+
+const CYPRESS_KEYS = {
+  Enter: '{enter}',
+  Escape: '{esc}',
+  Backspace: '{backspace}',
+  Delete: '{del}',
+  ArrowUp: '{upArrow}',
+  ArrowDown: '{downArrow}',
+  ArrowLeft: '{leftArrow}',
+  ArrowRight: '{rightArrow}',
+  Home: '{home}',
+  End: '{end}',
+  PageUp: '{pageUp}',
+  PageDown: '{pageDown}'
+};
+
+function cypressSubject(element) {
+  const attributes = element.attributes || {};
+
+  // Each enclosing shadow host is entered with .shadow() before the lookup
+  const scope = shadowHosts(element)
+    .reduce((chain, host) => `${chain ? `${chain}.find` : 'cy.get'}(${scriptQuote(host)}).shadow()`, '');
+  const get = selector => `${scope ? `${scope}.find` : 'cy.get'}(${scriptQuote(selector)})`;
+
+  if (attributes['data-testid']) {
+    return get(`[data-testid="${attributes['data-testid']}"]`);
+  }
+
+  // cy.contains matches text, and a field's name is its label, not its text
+  const name = accessibleName(element);
+  if (IMPLICIT_ROLES[element.tag] && !isFormField(element) && !attributes['aria-label'] && name) {
+    return `${scope ? `${scope}.contains` : 'cy.contains'}(${scriptQuote(element.tag.toLowerCase())}, ${scriptQuote(name)})`;
+  }
+
+  if (attributes['aria-label']) {
+    return get(`[aria-label="${attributes['aria-label']}"]`);
+  }
+
+  return get(element.shadowPath ? element.shadowPath[element.shadowPath.length - 1] : element.selector);
+}
+
+function cypressStep(actions, index, placeholders) {
+  const action = actions[index];
+  const subject = action.element?.selector ? cypressSubject(action.element) : null;
+  if (!subject && needsElement(action)) {
+    return [`// ${action.type} skipped: no element was recorded for it`];
+  }
+
+  switch (action.type) {
+    case 'click': {
+      const options = heldModifiers(action).map(key => `${key}Key: true`);
+      return [`${subject}.click(${options.length ? `{ ${options.join(', ')} }` : ''});`];
+    }
+
+    case 'dblclick':
+      return [`${subject}.dblclick();`];
+
+    case 'input':
+      // type() rejects an empty string, so an unset variable only clears
+      if (isMaskedValue(action.value)) {
+        const value = placeholders.get(action);
+        return [`${subject}.clear();`, `if (${value}) ${subject}.type(${value}, { log: false });`];
+      }
+      return action.value
+        ? [`${subject}.clear().type(${scriptQuote(action.value)}, { parseSpecialCharSequences: false });`]
+        : [`${subject}.clear();`];
+
+    case 'select':
+      return [`${subject}.select(${scriptValue(action, placeholders)});`];
+
+    case 'checkbox':
+      return [`${subject}.${action.checked ? 'check' : 'uncheck'}();`];
+
+    case 'radio':
+      return action.checked ? [`${subject}.check();`] : [];
+
+    case 'keypress': {
+      const target = subject || 'cy.focused()';
+      const key = chordKey(action);
+      const sequence = CYPRESS_KEYS[key] || (key?.length === 1 ? key : null);
+      const held = heldModifiers(action);
+
+      // cy.type() cannot send Tab or other non-text keys, so dispatch the event instead
+      if (!sequence) {
+        const options = [`key: ${scriptQuote(key)}`, ...held.map(modifier => `${modifier}Key: true`)].join(', ');
+        const trigger = `${target}.trigger('keydown', { ${options} });`;
+        return [action.count > 1 ? `Cypress._.times(${action.count}, () => ${trigger.slice(0, -1)});` : trigger];
+      }
+
+      const modifiers = held.map(modifier => `{${modifier}}`).join('');
+      return [`${target}.type(${scriptQuote(modifiers + sequence.repeat(action.count || 1))});`];
+    }
+
+    case 'scroll':
+      return [`${subject || 'cy'}.scrollTo(${scrollPosition(action)});`];
+
+    case 'submit':
+      if (isImplicitSubmit(actions, index)) return [];
+      return [`${subject}.submit();`];
+
+    case 'hover':
+      return [`${subject}.trigger('mouseover');`];
+
+    case 'navigate':
+      return {
+        goto: [`cy.visit(${scriptQuote(action.url)});`],
+        reload: ['cy.reload();'],
+        wait: [`cy.url().should('eq', ${scriptQuote(action.url)});`]
+      }[navigationKind(actions, index)] || [];
+
+    // Cypress drives a single tab, so tab changes become visits
+    case 'newTab':
+      return [
+        `// Cypress cannot follow new tabs: tab ${action.tab + 1} is visited in place`,
+        `cy.visit(${scriptQuote(action.url)});`
+      ];
+
+    case 'switchTab': {
+      const url = lastTabUrl(actions, index, action.tab || 0);
+      return url
+        ? [`// Back to tab ${(action.tab || 0) + 1}`, `cy.visit(${scriptQuote(url)});`]
+        : [];
+    }
+
+    case 'closeTab':
+      return [];
+
+    case 'format': {
+      const selection = formatSelection(action);
+      const modifiers = ['ctrl', 'meta']
+        .filter(key => action.modifiers?.[key])
+        .map(key => `{${key}}`)
+        .join('');
+      return [
+        ...(selection ? [`${subject}.then($el => selectText($el[0], ${scriptQuote(selection)}));`] : []),
+        action.key
+          ? `${subject}.type(${scriptQuote(modifiers + action.key)});`
+          : `cy.document().invoke('execCommand', ${scriptQuote(action.command)});`
+      ];
+    }
+
+    case 'drag': {
+      if (action.dragKind === 'file') {
+        return [
+          '// Provide the dropped files at these paths',
+          `${subject}.selectFile([${action.files.map(file => scriptQuote(file.name)).join(', ')}], { action: 'drag-drop' });`
+        ];
+      }
+      if (action.dragKind === 'html5') {
+        if (!action.target?.selector) return ['// Drag skipped: no drop target was recorded for it'];
+        const target = cypressSubject(action.target);
+        return [
+          'cy.wrap(new DataTransfer()).then(dataTransfer => {',
+          `  ${subject}.trigger('dragstart', { dataTransfer });`,
+          `  ${target}.trigger('dragover', { dataTransfer }).trigger('drop', { dataTransfer });`,
+          `  ${subject}.trigger('dragend', { dataTransfer });`,
+          '});'
+        ];
+      }
+      // Coordinates are relative to the dragged element, as trigger() expects
+      const [first, ...rest] = action.path;
+      const last = rest[rest.length - 1] || first;
+      return [
+        `${subject}.trigger('pointerdown', ${first.x}, ${first.y}, { button: 0, force: true }).trigger('mousedown', ${first.x}, ${first.y}, { button: 0, force: true });`,
+        `${dragPathLiteral(rest)}.forEach(([x, y]) => ${subject}.trigger('pointermove', x, y, { force: true }).trigger('mousemove', x, y, { force: true }));`,
+        `${subject}.trigger('pointerup', ${last.x}, ${last.y}, { force: true }).trigger('mouseup', ${last.x}, ${last.y}, { force: true });`
+      ];
+    }
+
+    case 'assert':
+      return {
+        visible: [`${subject}.should('be.visible');`],
+        text: [`${subject}.should('contain', ${scriptQuote(action.expected)});`],
+        value: [`${subject}.should('have.value', ${scriptQuote(action.expected)});`],
+        url: [`cy.url().should('match', new RegExp(${scriptQuote(action.pattern)}));`]
+      }[action.assertion] || [`// Unsupported assertion: ${action.assertion}`];
+
+    case 'focus':
+    case 'blur':
+      return [];
+
+    default:
+      return [`// Unsupported action: ${action.type}`];
+  }
+}
+
+function generateCypress(recording) {
+  const actions = recording.actions || [];
+  const stepNumbers = stepNumbersById(recording);
+  const placeholders = collectPlaceholders(actions);
+  const title = recording.metadata?.title || 'Recorded flow';
+
+  const body = [`cy.visit(${scriptQuote(recording.url)});`];
+
+  actions.forEach((action, index) => {
+    const lines = cypressStep(actions, index, placeholders);
+    const navigation = navigationAfter(actions, index);
+    if (navigation) {
+      lines.push(`cy.url().should('eq', ${scriptQuote(navigation)});`);
+    }
+
+    if (lines.length > 0) {
+      body.push('', `// Step ${stepNumbers.get(action.id) ?? index + 1}: ${stepDescription(action)}`, ...lines);
+    }
+  });
+
+  return `${scriptHeader(recording)}
+
+${placeholderDeclarations(placeholders, name => `Cypress.env(${scriptQuote(name)}) ?? ''`)}${selectTextDeclaration(actions)}describe(${scriptQuote(title)}, () => {
+  it('replays the recorded flow', () => {
+${indentLines(body, '    ')}
+  });
+});
+`;
+}
+
+// Quoted so parentheses and quotes in the name stay inside the query
+function ariaQuery(name) {
+  return `::-p-aria("${name.replace(/[\\"]/g, '\\$&')}")`;
+}
+
+function puppeteerSelector(element) {
+  const attributes = element.attributes || {};
+
+  // ARIA queries search the accessibility tree, which already includes
+  // shadow content; CSS needs the deep ">>>" combinator
+  if (attributes['data-testid']) {
+    return [...shadowHosts(element), `[data-testid="${attributes['data-testid']}"]`].join(' >>> ');
+  }
+
+  const name = accessibleName(element);
+  if ((attributes.role || IMPLICIT_ROLES[element.tag]) && name) {
+    return ariaQuery(name);
+  }
+
+  if (attributes['aria-label']) {
+    return ariaQuery(attributes['aria-label']);
+  }
+
+  return element.selector;
+}
+
+function puppeteerWithModifiers(action, lines) {
+  const page = pageVariable(action.tab);
+  const modifiers = modifierNames(action);
+  return [
+    ...modifiers.map(key => `await ${page}.keyboard.down(${scriptQuote(key)});`),
+    ...lines,
+    ...modifiers.reverse().map(key => `await ${page}.keyboard.up(${scriptQuote(key)});`)
+  ];
+}
+
+function puppeteerStep(actions, index, placeholders) {
+  const action = actions[index];
+  const page = pageVariable(action.tab);
+  const selector = action.element?.selector ? scriptQuote(puppeteerSelector(action.element)) : null;
+  if (!selector && needsElement(action)) {
+    return [`// ${action.type} skipped: no element was recorded for it`];
+  }
+
+  switch (action.type) {
+    case 'click':
+      return puppeteerWithModifiers(action, [`await ${page}.locator(${selector}).click();`]);
+
+    case 'dblclick':
+      return [`await ${page}.locator(${selector}).click({ count: 2 });`];
+
+    case 'input':
+      return [`await ${page}.locator(${selector}).fill(${scriptValue(action, placeholders)});`];
+
+    case 'select':
+      return [`await ${page}.select(${selector}, ${scriptValue(action, placeholders)});`];
+
+    case 'checkbox':
+    case 'radio':
+      if (action.type === 'radio' && !action.checked) return [];
+      return [`await ${page}.$eval(${selector}, (el, checked) => { if (el.checked !== checked) el.click(); }, ${!!action.checked});`];
+
+    case 'keypress': {
+      const lines = [];
+      if (selector) lines.push(`await ${page}.focus(${selector});`);
+      return [...lines, ...puppeteerWithModifiers(action, [repeated(action, `await ${page}.keyboard.press(${scriptQuote(chordKey(action))});`)])];
+    }
+
+    case 'scroll':
+      return selector
+        ? [`await ${page}.$eval(${selector}, el => el.scrollTo(${scrollPosition(action)}));`]
+        : [`await ${page}.evaluate(() => window.scrollTo(${scrollPosition(action)}));`];
+
+    case 'submit':
+      if (isImplicitSubmit(actions, index)) return [];
+      return [`await ${page}.$eval(${selector}, form => form.requestSubmit());`];
+
+    case 'hover':
+      return [`await ${page}.locator(${selector}).hover();`];
+
+    case 'navigate':
+      return {
+        goto: [`await ${page}.goto(${scriptQuote(action.url)});`],
+        reload: [`await ${page}.reload();`],
+        wait: [`await ${page}.waitForFunction(url => location.href === url, {}, ${scriptQuote(action.url)});`]
+      }[navigationKind(actions, index)] || [];
+
+    case 'newTab':
+      // Tabs opened by a recorded step are caught when that step runs
+      if (tabOpenerIndex(actions, index) >= 0) return [];
+      return [
+        `const ${page} = await browser.newPage();`,
+        `await ${page}.goto(${scriptQuote(action.url)});`
+      ];
+
+    case 'switchTab':
+      return [`await ${page}.bringToFront();`];
+
+    case 'closeTab':
+      // The page may have closed itself, as OAuth popups do
+      return [`if (!${page}.isClosed()) await ${page}.close();`];
+
+    case 'format': {
+      const selection = formatSelection(action);
+      return [
+        `await ${page}.focus(${selector});`,
+        ...(selection ? [`await ${page}.$eval(${selector}, selectText, ${scriptQuote(selection)});`] : []),
+        ...(action.key
+          ? puppeteerWithModifiers(action, [`await ${page}.keyboard.press(${scriptQuote(action.key)});`])
+          : [`await ${page}.evaluate(() => document.execCommand(${scriptQuote(action.command)}));`])
+      ];
+    }
+
+    case 'drag': {
+      if (action.dragKind === 'file') {
+        return [`// Files dropped here (${droppedFileNames(action)}) are not scripted`];
+      }
+      if (action.dragKind === 'html5') {
+        if (!action.target?.selector) return ['// Drag skipped: no drop target was recorded for it'];
+        const target = scriptQuote(puppeteerSelector(action.target));
+        return [`await (await ${page}.waitForSelector(${target})).drop(await ${page}.waitForSelector(${selector}));`];
+      }
+      const [first, ...rest] = action.path;
+      return [
+        '{',
+        `  const box = await (await ${page}.waitForSelector(${selector})).boundingBox();`,
+        `  await ${page}.mouse.move(box.x + ${first.x}, box.y + ${first.y});`,
+        `  await ${page}.mouse.down();`,
+        `  for (const [x, y] of ${dragPathLiteral(rest)}) await ${page}.mouse.move(box.x + x, box.y + y);`,
+        `  await ${page}.mouse.up();`,
+        '}'
+      ];
+    }
+
+    // waitForFunction polls until the check passes and throws on timeout
+    case 'assert':
+      return {
+        visible: [`await ${page}.waitForSelector(${selector}, { visible: true });`],
+        text: [`await ${page}.waitForFunction((el, text) => el.innerText.includes(text), {}, await ${page}.waitForSelector(${selector}), ${scriptQuote(action.expected)});`],
+        value: [`await ${page}.waitForFunction((el, value) => el.value === value, {}, await ${page}.waitForSelector(${selector}), ${scriptQuote(action.expected)});`],
+        url: [`await ${page}.waitForFunction(pattern => new RegExp(pattern).test(location.href), {}, ${scriptQuote(action.pattern)});`]
+      }[action.assertion] || [`// Unsupported assertion: ${action.assertion}`];
+
+    case 'focus':
+    case 'blur':
+      return [];
+
+    default:
+      return [`// Unsupported action: ${action.type}`];
+  }
+}
+
+function generatePuppeteer(recording) {
+  const actions = recording.actions || [];
+  const stepNumbers = stepNumbersById(recording);
+  const placeholders = collectPlaceholders(actions);
+  const viewport = recording.metadata?.viewport;
+
+  const body = [
+    'const browser = await puppeteer.launch({ headless: false });',
+    'const page = await browser.newPage();'
+  ];
+  if (viewport?.width && viewport?.height) {
+    body.push(`await page.setViewport({ width: ${viewport.width}, height: ${viewport.height} });`);
+  }
+  body.push(`await page.goto(${scriptQuote(recording.url)});`);
+
+  actions.forEach((action, index) => {
+    let lines = puppeteerStep(actions, index, placeholders);
+    const navigation = navigationAfter(actions, index);
+
+    const page = pageVariable(action.tab);
+
+    // Start waiting before the step runs so a fast navigation is not missed.
+    // Comments and loops can't go into Promise.all and wait afterwards.
+    if (navigation && lines.length === 1 && lines[0].startsWith(`await ${page}.`)) {
+      lines = [`await Promise.all([${page}.waitForNavigation(), ${lines[0].replace(/^await /, '').replace(/;$/, '')}]);`];
+    } else if (navigation) {
+      lines.push(`await ${page}.waitForFunction(url => location.href === url, {}, ${scriptQuote(navigation)});`);
+    }
+
+    const opened = tabOpenedBy(actions, index);
+    if (opened) {
+      const popup = pageVariable(opened.tab);
+      lines = [
+        `const ${popup}Promise = new Promise(resolve => browser.once('targetcreated', target => resolve(target.page())));`,
+        ...lines,
+        `const ${popup} = await ${popup}Promise;`
+      ];
+    }
+
+    if (lines.length > 0) {
+      body.push('', `// Step ${stepNumbers.get(action.id) ?? index + 1}: ${stepDescription(action)}`, ...lines);
+    }
+  });
+
+  body.push('', 'await browser.close();');
+
+  return `${scriptHeader(recording)}
+const puppeteer = require('puppeteer');
+
+${placeholderDeclarations(placeholders)}${selectTextDeclaration(actions)}(async () => {
+${indentLines(body, '  ')}
+})();
+`;
+}
\ No newline at end of file
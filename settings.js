@@ -0,0 +1,74 @@
+// User settings shared by the service worker and the options page
+
+const DEFAULT_SETTINGS = {
+  retention: {
+    maxRecordings: 50,
+    maxAgeDays: 0,
+    maxStorageMB: 0
+  },
+  // Keys recorded besides typing, Tab, Enter and Escape
+  keyboard: {
+    shortcuts: true,
+    navigation: true
+  },
+  // What is kept out of recorded values, element text and screenshots
+  privacy: {
+    // Fields whose name, id or class contains one of these are masked
+    sensitiveFields: ['password', 'credit', 'card', 'cvv', 'ssn', 'secret'],
+    // Masked wherever they appear in recorded text
+    patterns: [
+      /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/.source,
+      /\bAKIA[0-9A-Z]{16}\b/.source,
+      /\bgh[pousr]_[A-Za-z0-9]{36,}\b/.source,
+      /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,3})?\b/.source,
+      /(?:\+\d{1,3}[ .-]?)?\(?\d{2,4}\)?[ .-]\d{3,4}[ .-]\d{3,4}\b/.source
+    ],
+    // { domain, selector } rules; an empty domain applies everywhere.
+    // Redacted elements are recorded with their content masked, ignored ones
+    // not at all. Both are hidden in screenshots.
+    redactSelectors: [],
+    ignoreSelectors: [],
+    // 'blur' or 'box'
+    screenshotRedaction: 'blur'
+  },
+  // How each step's screenshot is taken, marked and stored
+  screenshots: {
+    // Outline the element the step used and mark where it was clicked
+    annotate: true,
+    stepNumbers: false,
+    // What each step's screenshot shows unless the recording picks otherwise:
+    // 'viewport', 'fullPage' or 'element'. The last two also keep a crop of
+    // the step's target.
+    mode: 'viewport',
+    // Space around the target in crops, in CSS pixels
+    padding: 40,
+    // 'webp', 'jpeg' or 'png', and the quality of the first two, 1-100
+    format: 'webp',
+    quality: 80
+  },
+  // A copy of the page's DOM at each step, for the snapshot viewer
+  snapshots: {
+    enabled: false
+  }
+};
+
+// Stored settings are merged section by section so that settings added in
+// later versions pick up their defaults.
+function mergeSettings(stored = {}) {
+  const settings = {};
+  for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+    settings[section] = { ...defaults, ...(stored[section] || {}) };
+  }
+  return settings;
+}
+
+async function loadSettings() {
+  const saved = await chrome.storage.local.get(['settings']);
+  return mergeSettings(saved.settings);
+}
+
+async function saveSettings(settings) {
+  const merged = mergeSettings(settings);
+  await chrome.storage.local.set({ settings: merged });
+  return merged;
+}
\ No newline at end of file
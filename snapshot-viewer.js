@@ -0,0 +1,285 @@
+// Shows the DOM snapshot kept for each step of a recording, so a recorded
+// selector can be checked against the page as it was when the step happened.
+class SnapshotViewer {
+  constructor() {
+    this.recordingId = new URLSearchParams(window.location.search).get('recordingId');
+    this.steps = [];
+    this.current = -1;
+    this.snapshot = null;
+    this.matches = [];
+    this.inspected = null;
+    this.pinned = false;
+
+    this.initializeElements();
+    this.attachListeners();
+    this.initialize();
+  }
+
+  initializeElements() {
+    this.elements = {
+      recordingTitle: document.getElementById('recordingTitle'),
+      prevStep: document.getElementById('prevStep'),
+      nextStep: document.getElementById('nextStep'),
+      stepPosition: document.getElementById('stepPosition'),
+      stepList: document.getElementById('stepList'),
+      snapshotInfo: document.getElementById('snapshotInfo'),
+      snapshotFrame: document.getElementById('snapshotFrame'),
+      highlights: document.getElementById('highlights'),
+      selectorForm: document.getElementById('selectorForm'),
+      selectorInput: document.getElementById('selectorInput'),
+      selectorResult: document.getElementById('selectorResult'),
+      xpathResult: document.getElementById('xpathResult'),
+      elementDetails: document.getElementById('elementDetails')
+    };
+  }
+
+  attachListeners() {
+    this.elements.prevStep.addEventListener('click', () => this.showStep(this.adjacentStep(-1)));
+    this.elements.nextStep.addEventListener('click', () => this.showStep(this.adjacentStep(1)));
+    this.elements.selectorForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.testSelector();
+    });
+    this.elements.stepList.addEventListener('click', (e) => {
+      const item = e.target.closest('li');
+      if (item && !item.classList.contains('unavailable')) {
+        this.showStep(Number(item.dataset.index));
+      }
+    });
+  }
+
+  async initialize() {
+    const response = await this.sendMessage({ action: 'getSnapshotSteps', recordingId: this.recordingId });
+    if (!response || !response.success) {
+      this.elements.snapshotInfo.textContent = 'Failed to load the recording: ' + (response?.error || 'Unknown error');
+      return;
+    }
+
+    this.steps = response.steps;
+    this.elements.recordingTitle.textContent = response.title;
+    document.title = `${response.title} - DOM Snapshots`;
+    this.renderStepList();
+
+    const first = this.steps.findIndex(step => step.snapshotId);
+    if (first === -1) {
+      this.elements.snapshotInfo.textContent = 'This recording has no DOM snapshots.';
+      this.updateNavigation();
+      return;
+    }
+    this.showStep(first);
+  }
+
+  sendMessage(message) {
+    return new Promise(resolve => chrome.runtime.sendMessage(message, resolve));
+  }
+
+  renderStepList() {
+    this.elements.stepList.replaceChildren(...this.steps.map((step, index) => {
+      const item = document.createElement('li');
+      item.dataset.index = index;
+      item.classList.toggle('unavailable', !step.snapshotId);
+      item.title = step.snapshotId ? '' : 'No snapshot for this step';
+
+      const number = document.createElement('span');
+      number.className = 'step-number';
+      number.textContent = step.number;
+      item.append(number, step.description);
+      return item;
+    }));
+  }
+
+  // The nearest step before or after the current one that has a snapshot
+  adjacentStep(direction) {
+    for (let index = this.current + direction; index >= 0 && index < this.steps.length; index += direction) {
+      if (this.steps[index].snapshotId) return index;
+    }
+    return -1;
+  }
+
+  updateNavigation() {
+    this.elements.prevStep.disabled = this.adjacentStep(-1) === -1;
+    this.elements.nextStep.disabled = this.adjacentStep(1) === -1;
+    this.elements.stepPosition.textContent = this.current === -1 ? '' : `Step ${this.steps[this.current].number} of ${this.steps.length}`;
+    Array.from(this.elements.stepList.children).forEach((item, index) => {
+      item.classList.toggle('active', index === this.current);
+    });
+    this.elements.stepList.children[this.current]?.scrollIntoView({ block: 'nearest' });
+  }
+
+  async showStep(index) {
+    if (index === -1) return;
+
+    const step = this.steps[index];
+    this.current = index;
+    this.updateNavigation();
+    this.elements.snapshotInfo.textContent = 'Loading snapshot...';
+
+    const response = await this.sendMessage({ action: 'getSnapshot', snapshotId: step.snapshotId });
+    // Another step was picked while this one loaded
+    if (this.current !== index) return;
+    if (!response || !response.success) {
+      this.elements.snapshotInfo.textContent = 'Failed to load the snapshot: ' + (response?.error || 'Unknown error');
+      return;
+    }
+
+    this.snapshot = response.snapshot;
+    const { url, viewport } = this.snapshot;
+    this.elements.snapshotInfo.textContent = `${url} · ${viewport.width}×${viewport.height}`;
+
+    const frame = this.elements.snapshotFrame;
+    frame.style.width = `${viewport.width}px`;
+    frame.style.height = `${viewport.height}px`;
+    await new Promise(resolve => {
+      frame.addEventListener('load', resolve, { once: true });
+      frame.srcdoc = this.snapshot.html;
+    });
+    this.prepareDocument(frame.contentDocument);
+
+    this.inspected = null;
+    this.pinned = false;
+    this.showDetails(null);
+    this.elements.selectorInput.value = step.element?.selector || '';
+    this.testSelector();
+  }
+
+  // Puts the page and its containers back where they were scrolled, and
+  // turns the snapshot into something to inspect rather than use
+  prepareDocument(doc) {
+    const { scroll } = this.snapshot;
+    doc.defaultView.scrollTo(scroll.x, scroll.y);
+    doc.querySelectorAll('[data-demo-recorder-scroll]').forEach(element => {
+      const [left, top] = element.getAttribute('data-demo-recorder-scroll').split(',').map(Number);
+      element.scrollLeft = left;
+      element.scrollTop = top;
+    });
+
+    doc.addEventListener('mouseover', (e) => {
+      if (this.pinned) return;
+      this.inspect(e.target);
+    });
+    doc.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.pinned = !this.pinned || this.inspected !== e.target;
+      this.inspect(e.target);
+    }, true);
+    doc.addEventListener('submit', (e) => e.preventDefault(), true);
+    doc.addEventListener('scroll', () => this.drawHighlights(), true);
+  }
+
+  testSelector() {
+    const doc = this.elements.snapshotFrame.contentDocument;
+    const selector = this.elements.selectorInput.value.trim();
+    const result = this.elements.selectorResult;
+    this.matches = [];
+
+    if (!doc || !selector) {
+      this.setResult(result, '', '');
+    } else {
+      try {
+        this.matches = Array.from(doc.querySelectorAll(selector));
+        if (this.matches.length === 0) {
+          this.setResult(result, 'error', 'No element matches this selector');
+        } else if (this.matches.length === 1) {
+          this.setResult(result, 'ok', 'Matches 1 element');
+        } else {
+          this.setResult(result, 'warning', `Matches ${this.matches.length} elements; replay uses the first`);
+        }
+      } catch (error) {
+        this.setResult(result, 'error', 'Invalid selector');
+      }
+    }
+
+    this.testXPath(doc);
+    this.drawHighlights();
+    if (this.inspected) this.showDetails(this.inspected);
+  }
+
+  // The recorded XPath is the fallback when the selector fails
+  testXPath(doc) {
+    const xpath = this.steps[this.current]?.element?.xpath;
+    const result = this.elements.xpathResult;
+    if (!doc || !xpath) {
+      this.setResult(result, '', '');
+      return;
+    }
+
+    let element = null;
+    try {
+      element = doc.evaluate(xpath, doc, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+    } catch (error) {
+      this.setResult(result, 'error', `Invalid recorded XPath ${xpath}`);
+      return;
+    }
+
+    if (!element) {
+      this.setResult(result, 'error', `The recorded XPath ${xpath} matches nothing`);
+    } else if (this.matches.length > 0 && this.matches[0] !== element) {
+      this.setResult(result, 'warning', `The recorded XPath ${xpath} points to a different element`);
+    } else {
+      this.setResult(result, 'ok', `The recorded XPath ${xpath} matches`);
+    }
+  }
+
+  setResult(element, status, text) {
+    element.className = `result ${status}`;
+    element.textContent = text;
+  }
+
+  inspect(element) {
+    this.inspected = element;
+    this.showDetails(element);
+    this.drawHighlights();
+  }
+
+  showDetails(element) {
+    const details = this.elements.elementDetails;
+    details.replaceChildren();
+    if (!element) return;
+
+    const add = (label, value) => {
+      if (!value) return;
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      details.append(term, description);
+    };
+
+    add('Tag', element.tagName.toLowerCase());
+    add('Id', element.id);
+    add('Classes', Array.from(element.classList).join(' '));
+    for (const name of ['name', 'type', 'role', 'aria-label', 'data-testid', 'href', 'value']) {
+      add(name, element.getAttribute(name));
+    }
+    add('Text', (element.innerText || element.textContent || '').trim().slice(0, 300));
+    add('Matches the selector', this.matches.includes(element)
+      ? (this.matches[0] === element ? 'Yes, as the first match' : `Yes, as match ${this.matches.indexOf(element) + 1}`)
+      : 'No');
+    if (element.closest('[data-demo-recorder-ignored]')) {
+      add('Note', 'This region was left out of the recording');
+    }
+  }
+
+  drawHighlights() {
+    const layer = this.elements.highlights;
+    const box = (element, className) => {
+      const rect = element.getBoundingClientRect();
+      const highlight = document.createElement('div');
+      highlight.className = className;
+      highlight.style.left = `${rect.left}px`;
+      highlight.style.top = `${rect.top}px`;
+      highlight.style.width = `${rect.width}px`;
+      highlight.style.height = `${rect.height}px`;
+      return highlight;
+    };
+
+    layer.replaceChildren(...this.matches.map(element => box(element, 'highlight')));
+    if (this.inspected?.isConnected) {
+      layer.append(box(this.inspected, 'highlight hover'));
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new SnapshotViewer();
+});
\ No newline at end of file
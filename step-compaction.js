@@ -0,0 +1,213 @@
+// Merges the raw events of a recording into the steps a person would
+// describe: the focus, click, typing, blur and Tab of one text field become
+// "Fill", and the click that submitted a form becomes part of "Submit". Steps
+// keep the ids of the raw actions they were made from, which stay in the
+// recording for debugging and replay. Loaded into the service worker with
+// importScripts from background.js.
+
+// Events on one element that belong to the same step while they follow each other
+const ELEMENT_EVENT_TYPES = ['focus', 'blur', 'click', 'dblclick', 'input', 'keypress', 'select', 'checkbox', 'radio'];
+// Only Tab moves on from a field as part of filling it; other keys are steps
+const FIELD_KEYS = ['Tab'];
+// A submit this soon after a click or Enter was caused by it
+const SUBMIT_CAUSE_WINDOW = 1000;
+
+// While recording, focus that nothing has followed yet is kept as a step of
+// its own: it joins whatever step comes next, which has its number.
+function compactSteps(actions, { inProgress = false } = {}) {
+  const groups = [];
+  for (const action of actions) {
+    const last = groups[groups.length - 1];
+    if (last && continuesGroup(last, action)) {
+      last.push(action);
+    } else {
+      groups.push([action]);
+    }
+  }
+
+  return mergeSubmits(absorbFocusChanges(groups, inProgress)).map(describeGroup);
+}
+
+function eventTarget(action) {
+  const frame = (action.frame?.path || []).map(entry => entry.selector).join(' > ');
+  return `${action.tab || 0}|${frame}|${action.element?.selector}`;
+}
+
+function continuesGroup(group, action) {
+  const last = group[group.length - 1];
+  if (!ELEMENT_EVENT_TYPES.includes(action.type) || !ELEMENT_EVENT_TYPES.includes(last.type)) return false;
+  if (!action.element || eventTarget(action) !== eventTarget(last)) return false;
+
+  // Keys other than Tab, and anything after them, are steps of their own
+  if (action.type === 'keypress' && !FIELD_KEYS.includes(action.key)) return false;
+  if (last.type === 'keypress' && !FIELD_KEYS.includes(last.key)) return false;
+  // Typing again after leaving the field is a new step
+  return !(action.type === 'input' && group.some(event => event.type === 'blur'));
+}
+
+// Focus and blur on their own say nothing; they join the step that follows,
+// or the one before at the end of the recording
+function absorbFocusChanges(groups, inProgress = false) {
+  const merged = [];
+  let pending = [];
+  for (const group of groups) {
+    if (group.every(action => ['focus', 'blur'].includes(action.type))) {
+      pending.push(...group);
+      continue;
+    }
+    merged.push([...pending, ...group]);
+    pending = [];
+  }
+
+  if (pending.length > 0) {
+    if (merged.length > 0 && !inProgress) {
+      merged[merged.length - 1].push(...pending);
+    } else {
+      merged.push(pending);
+    }
+  }
+  return merged;
+}
+
+// The click on a submit button, or the Enter in a field, joins the submit it caused
+function mergeSubmits(groups) {
+  const merged = [];
+  for (const group of groups) {
+    const submit = group.find(action => action.type === 'submit');
+    const previous = merged[merged.length - 1];
+    const cause = previous && [...previous].reverse().find(action => action.type === 'click' || action.type === 'keypress');
+
+    if (submit && cause && isSubmitCause(cause) &&
+        (cause.tab || 0) === (submit.tab || 0) &&
+        submit.timestamp - cause.timestamp <= SUBMIT_CAUSE_WINDOW) {
+      previous.push(...group);
+      continue;
+    }
+    merged.push(group);
+  }
+  return merged;
+}
+
+function isSubmitCause(action) {
+  if (action.type === 'keypress') return action.key === 'Enter';
+
+  const { tag, attributes = {} } = action.element || {};
+  return tag === 'BUTTON' ? attributes.type !== 'button' && attributes.type !== 'reset'
+    : tag === 'INPUT' && ['submit', 'image'].includes(attributes.type);
+}
+
+function describeGroup(group) {
+  const last = type => [...group].reverse().find(action => action.type === type);
+  const submit = last('submit');
+  const input = last('input');
+  const select = last('select');
+  const toggle = last('checkbox') || last('radio');
+  const clicks = group.filter(action => action.type === 'click' || action.type === 'dblclick');
+
+  let step;
+  if (submit) {
+    step = { type: 'submit', action: submit, description: describeSubmit(submit, clicks[clicks.length - 1]) };
+  } else if (input) {
+    step = { type: 'fill', action: input, description: describeInput(input) };
+  } else if (select) {
+    step = { type: 'select', action: select, description: `Select "${select.text || select.value}" in "${fieldName(select.element)}"` };
+  } else if (toggle) {
+    const verb = toggle.type === 'radio' ? 'Choose' : toggle.checked ? 'Check' : 'Uncheck';
+    step = { type: toggle.type, action: toggle, description: `${verb} "${fieldName(toggle.element)}"` };
+  } else if (clicks.length > 0) {
+    const click = clicks[clicks.length - 1];
+    const verb = click.type === 'dblclick' ? 'Double-click' : 'Click';
+    const times = clicks.filter(action => action.type === click.type).length;
+    step = { type: click.type, action: click, description: `${verb} "${targetName(click.element)}"${times > 1 ? ` ${times} times` : ''}` };
+  } else {
+    const action = group.find(event => !['focus', 'blur'].includes(event.type)) || group[0];
+    step = { type: action.type, action, description: describeEvent(action) };
+  }
+
+  return {
+    type: step.type,
+    description: step.description,
+    actionId: step.action.id,
+    actionIds: group.map(action => action.id)
+  };
+}
+
+function describeInput(input) {
+  const name = fieldName(input.element);
+  if (input.inputType === 'contenteditable') {
+    const text = (input.value || '').replace(/\s+/g, ' ').trim();
+    return `Type "${text.length > 50 ? `${text.substring(0, 50)}...` : text}" into "${name}"`;
+  }
+  return input.value ? `Fill "${name}" with "${input.value}"` : `Clear "${name}"`;
+}
+
+function describeSubmit(submit, click) {
+  const attributes = submit.element?.attributes || {};
+  const formName = submit.element?.label || attributes['aria-label'] || attributes.name || attributes.id;
+  if (formName) return `Submit the "${formName}" form`;
+  if (click) return `Submit the form with "${targetName(click.element)}"`;
+  return 'Submit the form';
+}
+
+function describeEvent(action) {
+  const name = action.element ? targetName(action.element) : '';
+  switch (action.type) {
+    case 'navigate':
+      return `Go to ${action.url}`;
+    case 'newTab':
+    case 'switchTab':
+    case 'closeTab':
+      return describeTabAction(action);
+    case 'keypress':
+      return `Press ${keyLabel(action)}`;
+    case 'assert':
+      return `Check: ${describeAssertion(action)}`;
+    case 'format':
+      return describeFormat(action);
+    case 'drag':
+      return describeDrag(action);
+    case 'scroll':
+      return action.element ? `Scroll "${name}"` : 'Scroll the page';
+    case 'hover':
+      return `Hover over "${name}"`;
+    case 'focus':
+      return `Focus "${fieldName(action.element)}"`;
+    default:
+      return name ? `${action.type} "${name}"` : action.type;
+  }
+}
+
+// Fields are named by their label; their text is what was typed into them
+function fieldName(element) {
+  const attributes = element?.attributes || {};
+  return element?.label || attributes['aria-label'] || attributes.name || attributes.id || element?.selector || 'field';
+}
+
+function targetName(element) {
+  return accessibleName(element) || element?.label || element?.selector || 'element';
+}
+
+// The steps of a recording with the action each one shows and the raw events
+// it was made from. Recordings saved before steps were kept are compacted here.
+function recordingSteps(recording) {
+  const actions = new Map(recording.actions.map(action => [action.id, action]));
+  const steps = recording.steps?.length ? recording.steps : compactSteps(recording.actions);
+
+  return steps
+    .map(step => ({
+      ...step,
+      action: actions.get(step.actionId),
+      actions: step.actionIds.map(id => actions.get(id)).filter(Boolean)
+    }))
+    .filter(step => step.action);
+}
+
+// The number of the step each raw action belongs to, by action id, for
+// exports that list the raw actions
+function stepNumbersById(recording) {
+  const numbers = new Map();
+  recordingSteps(recording).forEach((step, index) => {
+    step.actionIds.forEach(id => numbers.set(id, index + 1));
+  });
+  return numbers;
+}
\ No newline at end of file
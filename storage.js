@@ -0,0 +1,516 @@
+// IndexedDB-backed recording library. Recording metadata, actions,
+// screenshot blobs and DOM snapshots live in separate object stores so the
+// library list can be loaded without pulling every screenshot into memory.
+
+const DB_NAME = 'demo-recorder';
+const DB_VERSION = 4;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+// Images an action can carry, the field that references each one once it is
+// stored in the screenshots store, and the field with its perceptual hash
+const SCREENSHOT_FIELDS = {
+  screenshot: { id: 'screenshotId', hash: 'screenshotHash' },
+  screenshotCrop: { id: 'screenshotCropId', hash: 'screenshotCropHash' }
+};
+
+// Screenshots whose hashes differ in at most this many bits are kept once
+const SCREENSHOT_MATCH_DISTANCE = 4;
+
+function hashDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl);
+  return response.blob();
+}
+
+// DOM snapshots are mostly markup and compress well
+async function compressText(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Response(stream).blob();
+}
+
+async function decompressText(blob) {
+  return new Response(blob.stream().pipeThrough(new DecompressionStream('gzip'))).text();
+}
+
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+class RecordingStore {
+  constructor() {
+    this.dbPromise = null;
+    // Hashes of each recording's stored screenshots, loaded on first use
+    this.screenshotHashes = new Map();
+  }
+
+  db() {
+    if (!this.dbPromise) {
+      this.dbPromise = this.openDatabase().then(async (db) => {
+        await this.migrateLegacyRecordings(db);
+        return db;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => this.upgrade(request.result, event.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  upgrade(db, oldVersion) {
+    if (oldVersion < 1) {
+      const recordings = db.createObjectStore('recordings', { keyPath: 'id' });
+      recordings.createIndex('startTime', 'startTime');
+
+      const actions = db.createObjectStore('actions', { keyPath: 'id' });
+      actions.createIndex('recordingId', 'recordingId');
+
+      const screenshots = db.createObjectStore('screenshots', { keyPath: 'id' });
+      screenshots.createIndex('recordingId', 'recordingId');
+    }
+
+    if (oldVersion < 2) {
+      const network = db.createObjectStore('network', { keyPath: 'id' });
+      network.createIndex('recordingId', 'recordingId');
+    }
+
+    if (oldVersion < 3) {
+      const consoleLog = db.createObjectStore('console', { keyPath: 'id' });
+      consoleLog.createIndex('recordingId', 'recordingId');
+    }
+
+    if (oldVersion < 4) {
+      const snapshots = db.createObjectStore('snapshots', { keyPath: 'id' });
+      snapshots.createIndex('recordingId', 'recordingId');
+    }
+  }
+
+  // Recordings used to be kept as one array in chrome.storage.local
+  async migrateLegacyRecordings(db) {
+    const saved = await chrome.storage.local.get(['recordings']);
+    if (!Array.isArray(saved.recordings)) return;
+
+    for (const recording of saved.recordings) {
+      try {
+        await this.writeRecording(db, recording);
+      } catch (error) {
+        console.error('Failed to migrate recording:', recording.id, error);
+      }
+    }
+
+    await chrome.storage.local.remove(['recordings']);
+    console.log('Migrated', saved.recordings.length, 'recordings to IndexedDB');
+  }
+
+  async saveRecording(recording) {
+    const db = await this.db();
+    await this.writeRecording(db, recording);
+  }
+
+  async writeRecording(db, recording) {
+    const { actions = [], ...metadata } = recording;
+    const actionRecords = [];
+    const screenshotRecords = [];
+    const snapshotRecords = [];
+
+    // Blobs are prepared up front: awaiting anything but IndexedDB requests
+    // inside a transaction lets it commit early.
+    const savings = new Map();
+    for (const [index, action] of actions.entries()) {
+      const { record, screenshotRecords: images, snapshotRecord, savings: saved } = await this.prepareAction(db, recording.id, index, action);
+      actionRecords.push(record);
+      screenshotRecords.push(...images);
+      if (snapshotRecord) snapshotRecords.push(snapshotRecord);
+      saved.forEach((bytes, id) => savings.set(id, (savings.get(id) || 0) + bytes));
+    }
+
+    try {
+      const transaction = db.transaction(['recordings', 'actions', 'screenshots', 'snapshots'], 'readwrite');
+      const screenshotStore = transaction.objectStore('screenshots');
+      const snapshotStore = transaction.objectStore('snapshots');
+      actionRecords.forEach(record => transaction.objectStore('actions').put(record));
+      screenshotRecords.forEach(record => screenshotStore.put(record));
+      snapshotRecords.forEach(record => snapshotStore.put(record));
+      await this.addSavedBytes(screenshotStore, savings);
+
+      // Screenshots and snapshots written while the session was still
+      // recording count too. Screenshots no action references any more, such
+      // as the ones replaced when a loaded recording is saved again, go.
+      const referenced = new Set(actionRecords.flatMap(record =>
+        Object.values(SCREENSHOT_FIELDS).map(({ id: idField }) => record[idField]).filter(Boolean)));
+      const screenshots = [];
+      for (const screenshot of await requestToPromise(screenshotStore.index('recordingId').getAll(recording.id))) {
+        if (referenced.has(screenshot.id)) {
+          screenshots.push(screenshot);
+        } else {
+          screenshotStore.delete(screenshot.id);
+        }
+      }
+      this.screenshotHashes.set(recording.id, screenshots
+        .filter(screenshot => screenshot.hash)
+        .map(({ id, hash }) => ({ id, hash })));
+      const snapshots = await requestToPromise(snapshotStore.index('recordingId').getAll(recording.id));
+      transaction.objectStore('recordings').put({
+        ...metadata,
+        actionCount: actionRecords.length,
+        snapshotCount: snapshots.length,
+        sizeBytes: JSON.stringify(actionRecords).length +
+          [...screenshots, ...snapshots].reduce((total, stored) => total + stored.bytes, 0),
+        savedBytes: screenshots.reduce((total, screenshot) => total + (screenshot.savedBytes || 0), 0)
+      });
+      await transactionDone(transaction);
+    } catch (error) {
+      this.screenshotHashes.delete(recording.id);
+      throw error;
+    }
+  }
+
+  // Near-identical screenshots of the same recording are stored once; the
+  // action then references the earlier image, and the bytes it did not take
+  // up are added to that image's savedBytes.
+  async prepareAction(db, recordingId, index, action) {
+    const record = { ...action, recordingId, index };
+    const screenshotRecords = [];
+    const savings = new Map();
+    let snapshotRecord = null;
+
+    if (action.snapshot) {
+      const { html, ...details } = action.snapshot;
+      const blob = await compressText(html);
+      delete record.snapshot;
+      record.snapshotId = crypto.randomUUID();
+      snapshotRecord = { ...details, id: record.snapshotId, recordingId, blob, bytes: blob.size };
+    }
+
+    for (const [field, { id: idField, hash: hashField }] of Object.entries(SCREENSHOT_FIELDS)) {
+      const hash = action[hashField];
+      delete record[hashField];
+      if (!action[field]) continue;
+
+      const blob = await dataUrlToBlob(action[field]);
+      delete record[field];
+
+      const match = hash ? await this.findSimilarScreenshot(db, recordingId, hash) : null;
+      if (match) {
+        record[idField] = match;
+        savings.set(match, (savings.get(match) || 0) + blob.size);
+        continue;
+      }
+
+      record[idField] = crypto.randomUUID();
+      screenshotRecords.push({ id: record[idField], recordingId, blob, bytes: blob.size, hash });
+      if (hash) {
+        this.screenshotHashes.get(recordingId).push({ id: record[idField], hash });
+      }
+    }
+
+    return { record, screenshotRecords, snapshotRecord, savings };
+  }
+
+  async findSimilarScreenshot(db, recordingId, hash) {
+    if (!this.screenshotHashes.has(recordingId)) {
+      const transaction = db.transaction('screenshots', 'readonly');
+      const screenshots = await requestToPromise(transaction.objectStore('screenshots').index('recordingId').getAll(recordingId));
+      this.screenshotHashes.set(recordingId, screenshots
+        .filter(screenshot => screenshot.hash)
+        .map(({ id, hash: stored }) => ({ id, hash: stored })));
+    }
+
+    const match = this.screenshotHashes.get(recordingId).find(({ hash: stored }) =>
+      stored.width === hash.width &&
+      stored.height === hash.height &&
+      stored.marks === hash.marks &&
+      hashDistance(stored.image, hash.image) <= SCREENSHOT_MATCH_DISTANCE
+    );
+    return match?.id || null;
+  }
+
+  async addSavedBytes(store, savings) {
+    for (const [id, bytes] of savings) {
+      const screenshot = await requestToPromise(store.get(id));
+      if (screenshot) {
+        store.put({ ...screenshot, savedBytes: (screenshot.savedBytes || 0) + bytes });
+      }
+    }
+  }
+
+  // Writes one action of a recording that is still in progress, so it
+  // survives the service worker being suspended. Returns the action as kept
+  // in memory: the screenshot is replaced by a reference to the stored blob.
+  async saveSessionAction(recordingId, index, action) {
+    const db = await this.db();
+    const { record, screenshotRecords, snapshotRecord, savings } = await this.prepareAction(db, recordingId, index, action);
+
+    try {
+      const transaction = db.transaction(['actions', 'screenshots', 'snapshots'], 'readwrite');
+      const screenshotStore = transaction.objectStore('screenshots');
+      transaction.objectStore('actions').put(record);
+      screenshotRecords.forEach(screenshot => screenshotStore.put(screenshot));
+      if (snapshotRecord) {
+        transaction.objectStore('snapshots').put(snapshotRecord);
+      }
+      await this.addSavedBytes(screenshotStore, savings);
+      await transactionDone(transaction);
+    } catch (error) {
+      this.screenshotHashes.delete(recordingId);
+      throw error;
+    }
+
+    const { recordingId: _recordingId, index: _index, ...stored } = record;
+    return stored;
+  }
+
+  // Changes fields of a saved recording's metadata, such as its steps after
+  // they are compacted again
+  async updateRecording(recordingId, changes) {
+    const db = await this.db();
+    const transaction = db.transaction('recordings', 'readwrite');
+    const store = transaction.objectStore('recordings');
+    const recording = await requestToPromise(store.get(recordingId));
+    if (!recording) {
+      throw new Error('Recording not found');
+    }
+
+    store.put({ ...recording, ...changes });
+    await transactionDone(transaction);
+    return { ...recording, ...changes };
+  }
+
+  async getSessionActions(recordingId) {
+    const db = await this.db();
+    const transaction = db.transaction('actions', 'readonly');
+    const actions = await requestToPromise(transaction.objectStore('actions').index('recordingId').getAll(recordingId));
+
+    return actions
+      .sort((a, b) => a.index - b.index)
+      .map(({ recordingId: _recordingId, index: _index, ...action }) => action);
+  }
+
+  // Snapshots are not part of getRecording; the snapshot viewer loads them
+  // one step at a time
+  async getSnapshot(snapshotId) {
+    const db = await this.db();
+    const transaction = db.transaction('snapshots', 'readonly');
+    const snapshot = await requestToPromise(transaction.objectStore('snapshots').get(snapshotId));
+    if (!snapshot) return null;
+
+    const { blob, bytes: _bytes, recordingId: _recordingId, ...details } = snapshot;
+    return { ...details, html: await decompressText(blob) };
+  }
+
+  async saveNetworkEntry(recordingId, entry) {
+    const db = await this.db();
+    const transaction = db.transaction('network', 'readwrite');
+    transaction.objectStore('network').put({ ...entry, recordingId });
+    await transactionDone(transaction);
+  }
+
+  async getNetworkLog(recordingId) {
+    const db = await this.db();
+    const transaction = db.transaction('network', 'readonly');
+    const entries = await requestToPromise(transaction.objectStore('network').index('recordingId').getAll(recordingId));
+
+    return entries
+      .sort((a, b) => a.startTime - b.startTime)
+      .map(({ recordingId: _recordingId, ...entry }) => entry);
+  }
+
+  async saveConsoleEntry(recordingId, entry) {
+    const db = await this.db();
+    const transaction = db.transaction('console', 'readwrite');
+    transaction.objectStore('console').put({ ...entry, recordingId });
+    await transactionDone(transaction);
+  }
+
+  async getConsoleLog(recordingId) {
+    const db = await this.db();
+    const transaction = db.transaction('console', 'readonly');
+    const entries = await requestToPromise(transaction.objectStore('console').index('recordingId').getAll(recordingId));
+
+    return entries
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(({ recordingId: _recordingId, ...entry }) => entry);
+  }
+
+  // Removes actions, screenshots, snapshots, network and console entries left
+  // behind by sessions that were never saved, except for the recordings listed
+  // in keepIds.
+  async pruneOrphans(keepIds = []) {
+    const db = await this.db();
+    const transaction = db.transaction(['recordings', 'actions', 'screenshots', 'snapshots', 'network', 'console'], 'readwrite');
+    const known = new Set([
+      ...keepIds,
+      ...await requestToPromise(transaction.objectStore('recordings').getAllKeys())
+    ]);
+
+    for (const storeName of ['actions', 'screenshots', 'snapshots', 'network', 'console']) {
+      const store = transaction.objectStore(storeName);
+      const request = store.index('recordingId').openKeyCursor();
+
+      await new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve();
+            return;
+          }
+          if (!known.has(cursor.key)) {
+            store.delete(cursor.primaryKey);
+          }
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    await transactionDone(transaction);
+  }
+
+  // Removes what a session wrote while recording once it is discarded
+  // without being saved. A recording that was saved after all is kept.
+  async discardSession(recordingId) {
+    const db = await this.db();
+    const transaction = db.transaction(['recordings', 'actions', 'screenshots', 'snapshots', 'network', 'console'], 'readwrite');
+    if (await requestToPromise(transaction.objectStore('recordings').getKey(recordingId)) !== undefined) {
+      return;
+    }
+
+    this.screenshotHashes.delete(recordingId);
+    for (const storeName of ['actions', 'screenshots', 'snapshots', 'network', 'console']) {
+      const store = transaction.objectStore(storeName);
+      const keys = await requestToPromise(store.index('recordingId').getAllKeys(recordingId));
+      keys.forEach(key => store.delete(key));
+    }
+
+    await transactionDone(transaction);
+  }
+
+  // Metadata only, newest first. Actions and screenshots load with getRecording.
+  async listRecordings() {
+    const db = await this.db();
+    const transaction = db.transaction('recordings', 'readonly');
+    const recordings = await requestToPromise(transaction.objectStore('recordings').getAll());
+    return recordings.sort((a, b) => b.startTime - a.startTime);
+  }
+
+  async getRecording(recordingId) {
+    const db = await this.db();
+    const transaction = db.transaction(['recordings', 'actions', 'screenshots'], 'readonly');
+    const recording = await requestToPromise(transaction.objectStore('recordings').get(recordingId));
+    if (!recording) return null;
+
+    const actions = await requestToPromise(transaction.objectStore('actions').index('recordingId').getAll(recordingId));
+    const screenshots = await requestToPromise(transaction.objectStore('screenshots').index('recordingId').getAll(recordingId));
+
+    const screenshotUrls = new Map();
+    for (const screenshot of screenshots) {
+      screenshotUrls.set(screenshot.id, await blobToDataUrl(screenshot.blob));
+    }
+
+    return {
+      ...recording,
+      actions: actions
+        .sort((a, b) => a.index - b.index)
+        .map(({ recordingId: _recordingId, index: _index, ...action }) => {
+          for (const [field, { id: idField }] of Object.entries(SCREENSHOT_FIELDS)) {
+            if (screenshotUrls.has(action[idField])) {
+              action[field] = screenshotUrls.get(action[idField]);
+            }
+            delete action[idField];
+          }
+          return action;
+        })
+    };
+  }
+
+  async deleteRecording(recordingId) {
+    const db = await this.db();
+    const transaction = db.transaction(['recordings', 'actions', 'screenshots', 'snapshots', 'network', 'console'], 'readwrite');
+
+    this.screenshotHashes.delete(recordingId);
+    transaction.objectStore('recordings').delete(recordingId);
+    for (const storeName of ['actions', 'screenshots', 'snapshots', 'network', 'console']) {
+      const store = transaction.objectStore(storeName);
+      const keys = await requestToPromise(store.index('recordingId').getAllKeys(recordingId));
+      keys.forEach(key => store.delete(key));
+    }
+
+    await transactionDone(transaction);
+  }
+
+  async getUsage() {
+    const recordings = await this.listRecordings();
+    const estimate = await navigator.storage.estimate();
+
+    return {
+      recordings: recordings.length,
+      bytes: recordings.reduce((total, recording) => total + (recording.sizeBytes || 0), 0),
+      savedBytes: recordings.reduce((total, recording) => total + (recording.savedBytes || 0), 0),
+      usage: estimate.usage,
+      quota: estimate.quota
+    };
+  }
+
+  // Deletes the oldest recordings that fall outside the policy. A limit of 0
+  // disables that rule. The newest recording is always kept.
+  async applyRetention(policy) {
+    const recordings = await this.listRecordings();
+    const maxAge = (policy.maxAgeDays || 0) * 24 * 60 * 60 * 1000;
+    const maxBytes = (policy.maxStorageMB || 0) * 1024 * 1024;
+    const now = Date.now();
+    let totalBytes = 0;
+
+    const expired = recordings.filter((recording, index) => {
+      totalBytes += recording.sizeBytes || 0;
+      if (index === 0) return false;
+
+      return (policy.maxRecordings > 0 && index >= policy.maxRecordings) ||
+             (maxAge > 0 && now - recording.startTime > maxAge) ||
+             (maxBytes > 0 && totalBytes > maxBytes);
+    });
+
+    for (const recording of expired) {
+      await this.deleteRecording(recording.id);
+    }
+
+    if (expired.length > 0) {
+      console.log('Retention policy removed', expired.length, 'recordings');
+    }
+    return expired.length;
+  }
+}
\ No newline at end of file
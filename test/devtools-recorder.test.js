@@ -0,0 +1,75 @@
+// Runs the DevTools Recorder conversion the way the service worker loads it.
+// Run with: node --test test/
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadDevTools() {
+  const context = vm.createContext({ console, crypto, navigator: { userAgent: 'node' } });
+  for (const file of ['script-exporters.js', 'step-compaction.js', 'devtools-recorder.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+  }
+  return context;
+}
+
+function recordingOf(actions) {
+  return {
+    url: 'https://example.com/',
+    metadata: { title: 'Sign in' },
+    actions: actions.map((action, index) => ({ id: `a${index + 1}`, tab: 0, timestamp: (index + 1) * 1000, ...action }))
+  };
+}
+
+function stepsOf(recording) {
+  const { generateDevToolsRecording } = loadDevTools();
+  return JSON.parse(generateDevToolsRecording(recording)).steps;
+}
+
+const email = { selector: '#email', tag: 'INPUT', label: 'Email', text: 'jane@example.com', attributes: { type: 'email' } };
+const password = { selector: '#password', tag: 'INPUT', text: '', attributes: { type: 'password' } };
+const form = { selector: 'form', tag: 'FORM', attributes: {} };
+
+test('names fields by their label, not their value', () => {
+  const [, change] = stepsOf(recordingOf([{ type: 'input', element: email, value: 'jane@example.com' }]));
+
+  assert.deepStrictEqual(change.selectors[0], ['aria/Email']);
+  assert.ok(change.selectors.every(selector => !selector[0].includes('jane@')));
+});
+
+test('leaves out fields whose value was masked', () => {
+  const steps = stepsOf(recordingOf([
+    { type: 'input', element: email, value: 'j***@example.com' },
+    { type: 'input', element: password, value: '********' }
+  ]));
+
+  assert.deepStrictEqual(steps.map(step => step.type), ['navigate']);
+});
+
+test('adds a navigation to the events the previous step already asserts', () => {
+  const [navigate] = stepsOf(recordingOf([
+    { type: 'submit', element: form, url: 'https://example.com/' },
+    { type: 'navigate', url: 'https://example.com/home' }
+  ]));
+
+  assert.deepStrictEqual(navigate.assertedEvents.map(event => event.url), ['https://example.com/', 'https://example.com/home']);
+});
+
+test('imports an exported recording back', () => {
+  const { generateDevToolsRecording, importDevToolsRecording } = loadDevTools();
+  const button = { selector: '#save', tag: 'BUTTON', text: 'Save', attributes: {} };
+  const recording = recordingOf([
+    { type: 'input', element: email, value: 'jane@example.com', url: 'https://example.com/' },
+    { type: 'click', element: button, url: 'https://example.com/' },
+    { type: 'navigate', url: 'https://example.com/saved' }
+  ]);
+
+  const imported = importDevToolsRecording(JSON.parse(generateDevToolsRecording(recording)));
+  assert.strictEqual(imported.url, 'https://example.com/');
+  assert.strictEqual(imported.metadata.title, 'Sign in');
+  assert.deepStrictEqual([...imported.actions.map(action => action.type)], ['input', 'click']);
+  assert.strictEqual(imported.actions[0].value, 'jane@example.com');
+  assert.strictEqual(imported.actions[0].element.selector, '#email');
+  assert.strictEqual(imported.actions[1].element.selector, '#save');
+});
\ No newline at end of file
@@ -0,0 +1,57 @@
+// Runs the HAR export the way the service worker loads it.
+// Run with: node --test test/
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadNetwork() {
+  const context = vm.createContext({
+    console,
+    URL,
+    chrome: { runtime: { getManifest: () => ({ version: '1.0.0' }) } }
+  });
+  for (const file of ['script-exporters.js', 'step-compaction.js', 'network.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+  }
+  return context;
+}
+
+function requestAt(startTime) {
+  return {
+    tab: 0,
+    method: 'GET',
+    url: `https://example.com/api?t=${startTime}`,
+    startTime,
+    endTime: startTime + 50,
+    status: 200,
+    statusLine: 'HTTP/1.1 200 OK',
+    requestHeaders: [],
+    responseHeaders: [],
+    size: 10,
+    mimeType: 'application/json',
+    type: 'xmlhttprequest'
+  };
+}
+
+test('numbers requests by the compacted step they follow', () => {
+  const { generateHar } = loadNetwork();
+  const email = { selector: '#email', tag: 'INPUT', attributes: { type: 'email' } };
+  const save = { selector: '#save', tag: 'BUTTON', text: 'Save', attributes: {} };
+  const recording = {
+    url: 'https://example.com/',
+    startTime: 0,
+    actions: [
+      { id: 'a1', type: 'focus', tab: 0, timestamp: 100, element: email },
+      { id: 'a2', type: 'click', tab: 0, timestamp: 110, element: email },
+      { id: 'a3', type: 'input', tab: 0, timestamp: 200, element: email, value: 'a' },
+      { id: 'a4', type: 'click', tab: 0, timestamp: 300, element: save }
+    ]
+  };
+
+  const har = JSON.parse(generateHar(recording, [requestAt(250), requestAt(350)]));
+  // Focus, click and typing into the field are one step
+  assert.deepStrictEqual(har.log.entries.map(entry => entry._step), [1, 2]);
+  assert.deepStrictEqual(har.log.entries.map(entry => entry._actionId), ['a3', 'a4']);
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+// Runs page-hooks.js against a stand-in window whose postMessage delivers
+// messages right away. Run with: node --test test/
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadPageHooks() {
+  const listeners = new Map();
+  const posted = [];
+  const window = {
+    addEventListener: (type, listener) => listeners.set(listener, type),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+    postMessage: (data) => {
+      posted.push(data);
+      for (const [listener, type] of [...listeners]) {
+        if (type === 'message') listener({ source: window, data });
+      }
+    },
+    listenerCount: () => listeners.size
+  };
+  const pageConsole = { error: () => {}, warn: () => {}, log: () => {} };
+  const originals = { ...pageConsole };
+
+  const context = vm.createContext({ window, console: pageConsole });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'page-hooks.js'), 'utf8'), context);
+  return { context, window, pageConsole, originals, posted };
+}
+
+const entries = posted => posted.filter(data => data.demoRecorder === 'consoleEntry').map(data => data.entry.message);
+
+test('holds console output back until content.js listens', () => {
+  const { window, pageConsole, posted } = loadPageHooks();
+
+  pageConsole.error('early');
+  assert.deepStrictEqual(entries(posted), []);
+
+  window.postMessage({ demoRecorder: 'consoleListening' });
+  pageConsole.warn('later');
+  assert.deepStrictEqual(entries(posted), ['early', 'later']);
+});
+
+test('gives the page its console back when content.js stops listening', () => {
+  const { context, window, pageConsole, originals, posted } = loadPageHooks();
+  window.postMessage({ demoRecorder: 'consoleListening' });
+  window.postMessage({ demoRecorder: 'consoleStopped' });
+
+  assert.strictEqual(pageConsole.error, originals.error);
+  assert.strictEqual(pageConsole.warn, originals.warn);
+  assert.strictEqual(window.listenerCount(), 0);
+
+  pageConsole.error('after stop');
+  assert.deepStrictEqual(entries(posted), []);
+
+  // The next recording installs the hooks again
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'page-hooks.js'), 'utf8'), context);
+  assert.notStrictEqual(pageConsole.error, originals.error);
+});
+
+test('stops reporting when the console was wrapped again on top of the hooks', () => {
+  const { window, pageConsole, posted } = loadPageHooks();
+  window.postMessage({ demoRecorder: 'consoleListening' });
+  const hooked = pageConsole.error;
+  pageConsole.error = (...args) => hooked(...args);
+
+  window.postMessage({ demoRecorder: 'consoleStopped' });
+  pageConsole.error('after stop');
+  assert.deepStrictEqual(entries(posted), []);
+});
\ No newline at end of file
@@ -0,0 +1,189 @@
+// Runs the element resolver of replayer.js against a small stand-in for the
+// DOM: elements with attributes, text and open shadow roots, and selectors
+// made of a tag, #id, .class and [attribute="value"] parts.
+// Run with: node --test test/
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+class FakeNode {
+  constructor() {
+    this.children = [];
+    this.texts = [];
+    this.shadowRoot = null;
+  }
+
+  descendants() {
+    return this.children.flatMap(child => [child, ...child.descendants()]);
+  }
+
+  querySelectorAll(selector) {
+    const parts = selector.match(/^[a-z]+|#[\w-]+|\.[\w-]+|\[[\w-]+="[^"]*"\]/g) || [];
+    if (parts.join('') !== selector) throw new SyntaxError(`Unsupported selector ${selector}`);
+    return this.descendants().filter(element => parts.every(part => element.matchesPart(part)));
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+class FakeElement extends FakeNode {
+  constructor(tag, attributes = {}, children = []) {
+    super();
+    this.tagName = tag.toUpperCase();
+    this.attributes = attributes;
+    this.children = children.filter(child => typeof child !== 'string');
+    this.texts = children.filter(child => typeof child === 'string').map(data => ({ data }));
+    this.position = { left: 0, top: 0 };
+  }
+
+  get id() { return this.attributes.id || ''; }
+  get type() { return this.attributes.type; }
+  get classList() { return (this.attributes.class || '').split(' ').filter(Boolean); }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  getBoundingClientRect() {
+    return this.position;
+  }
+
+  attachShadow(children) {
+    this.shadowRoot = new FakeNode();
+    this.shadowRoot.children = children;
+    return this;
+  }
+
+  matchesPart(part) {
+    if (part.startsWith('#')) return this.id === part.slice(1);
+    if (part.startsWith('.')) return this.classList.includes(part.slice(1));
+    if (part.startsWith('[')) {
+      const [, name, value] = /^\[([\w-]+)="(.*)"\]$/.exec(part);
+      return this.getAttribute(name) === value;
+    }
+    return this.tagName === part.toUpperCase();
+  }
+
+  textNodes() {
+    return [...this.texts, ...this.children.flatMap(child => child.textNodes())];
+  }
+}
+
+const el = (tag, attributes, ...children) => new FakeElement(tag, attributes, children);
+
+function loadResolver(...body) {
+  const document = new FakeNode();
+  document.children = body;
+  document.createTreeWalker = element => {
+    const nodes = element.textNodes();
+    let index = -1;
+    return {
+      nextNode: () => (++index < nodes.length),
+      get currentNode() { return nodes[index]; }
+    };
+  };
+  document.addEventListener = () => {};
+
+  const context = vm.createContext({
+    console,
+    document,
+    window: { scrollX: 0, scrollY: 0 },
+    NodeFilter: { SHOW_TEXT: 4 },
+    CSS: { escape: value => value.replace(/["\\]/g, '\\$&') },
+    chrome: { runtime: { onMessage: { addListener: () => {} } } }
+  });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'replayer.js'), 'utf8'), context);
+  return context;
+}
+
+const resolverOf = context => vm.runInContext('ElementResolver', context);
+
+test('takes a selector that matches one element as it is', () => {
+  const save = el('button', { id: 'save' }, 'Save');
+  const resolver = resolverOf(loadResolver(el('div', {}, save, el('button', {}, 'Cancel'))));
+
+  const resolved = resolver.resolve({ selector: '#save', tag: 'BUTTON', text: 'Something else', attributes: {} });
+  assert.strictEqual(resolved.element, save);
+  assert.strictEqual(resolved.strategy, 'selector');
+  assert.strictEqual(resolved.confidence, 1);
+});
+
+test('takes a unique id only when the tag matches', () => {
+  const link = el('a', { id: 'next' }, 'Next');
+  const resolver = resolverOf(loadResolver(link));
+
+  const byId = resolver.resolve({ selector: 'main.gone', tag: 'A', attributes: { id: 'next' } });
+  assert.strictEqual(byId.element, link);
+  assert.strictEqual(byId.strategy, 'id');
+
+  assert.strictEqual(resolver.uniqueMatch({ selector: 'main.gone', tag: 'BUTTON', attributes: { id: 'next' } }), null);
+});
+
+test('scores candidates when the selector no longer matches', () => {
+  const target = el('button', { class: 'btn primary', type: 'submit' }, 'Place order');
+  const other = el('button', { class: 'btn', type: 'button' }, 'Back');
+  const resolver = resolverOf(loadResolver(el('form', {}, other, target)));
+
+  const resolved = resolver.resolve({
+    selector: '#checkout-submit',
+    tag: 'BUTTON',
+    text: 'Place   order',
+    attributes: { class: 'btn primary', type: 'submit' }
+  });
+  assert.strictEqual(resolved.element, target);
+  assert.strictEqual(resolved.strategy, 'fingerprint');
+  assert.deepStrictEqual([...resolved.signals], ['type', 'tag', 'text', 'className']);
+});
+
+test('finds nothing when too few signals match', () => {
+  const resolver = resolverOf(loadResolver(el('button', { type: 'button' }, 'Back')));
+
+  const resolved = resolver.resolve({
+    selector: '#checkout-submit',
+    tag: 'BUTTON',
+    text: 'Place order',
+    attributes: { 'data-testid': 'submit', type: 'submit' }
+  });
+  assert.strictEqual(resolved, null);
+});
+
+test('reads only the start of long text', () => {
+  const resolver = resolverOf(loadResolver());
+  const long = el('p', {}, 'a'.repeat(150), 'b'.repeat(150), 'c'.repeat(150));
+
+  assert.strictEqual(resolver.leadingText(long, 200).length, 200);
+  assert.strictEqual(resolver.textSimilarity(el('p', {}, 'Hello', el('b', {}, 'world')), 'Hello\nworld'), 1);
+});
+
+test('looks inside the shadow root the recorded path leads to', () => {
+  const inner = el('button', { 'data-testid': 'buy' }, 'Buy');
+  const outside = el('button', { 'data-testid': 'buy' }, 'Buy');
+  const host = el('product-card', { id: 'card' }).attachShadow([inner]);
+  const resolver = resolverOf(loadResolver(host, outside));
+
+  assert.strictEqual(resolver.querySelector('#card >>> button'), inner);
+  assert.deepStrictEqual([...resolver.querySelectorAll('#card >>> button')], [inner]);
+
+  const resolved = resolver.resolve({
+    selector: '#card >>> .gone',
+    shadowPath: ['#card', '.gone'],
+    tag: 'BUTTON',
+    attributes: { 'data-testid': 'buy' }
+  });
+  assert.strictEqual(resolved.element, inner);
+  assert.strictEqual(resolved.strategy, 'testId');
+});
+
+test('skips input whose value was partly masked', () => {
+  const context = loadResolver();
+  const replayer = vm.runInContext('replayer', context);
+
+  for (const value of ['********', 'j***@example.com']) {
+    const result = replayer.replayInput(el('input', {}), { value });
+    assert.strictEqual(result.skipped, true, value);
+  }
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+// Runs screenshots.js the way the service worker loads it, with the chrome
+// APIs it uses replaced. Run with: node --test test/
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadScreenshots(frames, events = []) {
+  const captures = [];
+  const context = vm.createContext({
+    console,
+    crypto,
+    setTimeout,
+    chrome: {
+      scripting: {
+        executeScript: async () => {
+          events.push({ type: 'regions', time: Date.now() });
+          return frames;
+        }
+      },
+      tabs: {
+        captureVisibleTab: async (windowId) => {
+          events.push({ type: 'capture', time: Date.now() });
+          captures.push(windowId);
+          return 'data:image/png;base64,';
+        }
+      }
+    },
+    loadSettings: async () => ({
+      privacy: { screenshotRedaction: 'box' },
+      screenshots: { mode: 'viewport', annotate: true, stepNumbers: false, format: 'png', quality: 80, padding: 40 }
+    }),
+    recordingManager: { getSession: () => null }
+  });
+  for (const file of ['script-exporters.js', 'step-compaction.js', 'screenshots.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+  }
+  return { context, captures };
+}
+
+const topFrame = {
+  frameId: 0,
+  result: {
+    regions: [{ x: 10, y: 20, width: 100, height: 16 }],
+    viewport: { width: 1280, height: 720 }
+  }
+};
+
+test('collects the regions of every frame', async () => {
+  const { context } = loadScreenshots([
+    topFrame,
+    { frameId: 4, result: { regions: [{ x: 300, y: 200, width: 50, height: 10 }], viewport: null } }
+  ]);
+
+  const { regions, viewport } = await context.collectRedactionRegions(1);
+  assert.strictEqual(regions.length, 2);
+  assert.deepStrictEqual({ ...viewport }, { width: 1280, height: 720 });
+});
+
+test('rejects when a frame does not report its regions', async () => {
+  const { context } = loadScreenshots([topFrame, { frameId: 7, result: null }]);
+
+  await assert.rejects(context.collectRedactionRegions(1), /Frame 7/);
+});
+
+test('takes no screenshot when a frame does not report its regions', async () => {
+  const { context, captures } = loadScreenshots([topFrame, { frameId: 7, result: undefined }]);
+
+  await assert.rejects(context.captureStepScreenshot({ id: 1, windowId: 2 }, null), /Frame 7/);
+  assert.strictEqual(captures.length, 0);
+});
+
+test('collects the regions after waiting for the capture limit', async () => {
+  const events = [];
+  const { context } = loadScreenshots([topFrame], events);
+
+  await context.captureViewport({ id: 1, windowId: 2 });
+  await context.captureViewport({ id: 1, windowId: 2 });
+
+  assert.deepStrictEqual(events.map(event => event.type), ['regions', 'capture', 'regions', 'capture']);
+  assert.ok(events[2].time - events[1].time >= vm.runInContext('CAPTURE_INTERVAL', context) - 5);
+});
+
+test('numbers steps like the compacted recording', () => {
+  const { context } = loadScreenshots([topFrame]);
+  const email = { selector: '#email', tag: 'INPUT', attributes: { type: 'email' } };
+  const password = { selector: '#password', tag: 'INPUT', attributes: { type: 'password' } };
+  const session = {
+    tabs: [1],
+    actions: [
+      { id: 'a1', type: 'navigate', tab: 0, timestamp: 100, url: 'https://example.com/' },
+      { id: 'a2', type: 'focus', tab: 0, timestamp: 200, element: email },
+      { id: 'a3', type: 'click', tab: 0, timestamp: 210, element: email },
+      { id: 'a4', type: 'input', tab: 0, timestamp: 300, element: email, value: 'a' }
+    ]
+  };
+  const number = (event, timestamp) => context.stepNumberAt(session, 1, { event, timestamp });
+
+  // The blur and Tab that leave the field belong to filling it
+  assert.strictEqual(number({ type: 'blur', element: email }, 400), 2);
+  assert.strictEqual(number({ type: 'keypress', key: 'Tab', element: email }, 400), 2);
+  // Focus on the next field starts the next step
+  assert.strictEqual(number({ type: 'focus', element: password }, 400), 3);
+});
\ No newline at end of file
@@ -0,0 +1,120 @@
+// Runs the script exporters the way the service worker loads them.
+// Run with: node --test test/
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadExporters() {
+  const context = vm.createContext({ console, crypto });
+  for (const file of ['script-exporters.js', 'step-compaction.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+  }
+  return context;
+}
+
+function recordingOf(actions) {
+  return {
+    url: 'https://example.com/',
+    metadata: { title: 'Sign in' },
+    actions: actions.map((action, index) => ({ id: `a${index + 1}`, tab: 0, timestamp: (index + 1) * 1000, ...action }))
+  };
+}
+
+// The exported Puppeteer script only has to parse, not run
+function assertParses(script) {
+  assert.doesNotThrow(() => new vm.Script(script), script);
+}
+
+const search = { selector: '#q', tag: 'INPUT', attributes: { type: 'search' } };
+
+test('Puppeteer waits after a skipped step that navigated', () => {
+  const { generatePuppeteer } = loadExporters();
+  const script = generatePuppeteer(recordingOf([
+    { type: 'click', url: 'https://example.com/' },
+    { type: 'navigate', url: 'https://example.com/next' }
+  ]));
+
+  assertParses(script);
+  assert.match(script, /\/\/ click skipped: no element was recorded for it\n\s+await page\.waitForFunction/);
+});
+
+test('Puppeteer waits after a repeated key press that navigated', () => {
+  const { generatePuppeteer } = loadExporters();
+  const script = generatePuppeteer(recordingOf([
+    { type: 'keypress', key: 'Enter', count: 2, element: search, url: 'https://example.com/' },
+    { type: 'navigate', url: 'https://example.com/results' }
+  ]));
+
+  assertParses(script);
+  assert.doesNotMatch(script, /Promise\.all/);
+});
+
+test('Puppeteer starts waiting before a single step that navigated', () => {
+  const { generatePuppeteer } = loadExporters();
+  const script = generatePuppeteer(recordingOf([
+    { type: 'click', element: { selector: '#go', tag: 'A', text: 'Go', attributes: {} }, url: 'https://example.com/' },
+    { type: 'navigate', url: 'https://example.com/next' }
+  ]));
+
+  assertParses(script);
+  assert.match(script, /await Promise\.all\(\[page\.waitForNavigation\(\), page\.locator\('::-p-aria\("Go"\)'\)\.click\(\)\]\);/);
+});
+
+const comments = { selector: '#comments', tag: 'TEXTAREA', label: 'Comments', text: 'Typed into the field', attributes: {} };
+const password = { selector: '#password', tag: 'INPUT', label: 'Password', attributes: { type: 'password' } };
+const draft = { selector: '#draft', tag: 'BUTTON', text: 'Save "draft" (now)', attributes: {} };
+
+test('Playwright names fields by their label, not their text', () => {
+  const { generatePlaywright } = loadExporters();
+  const script = generatePlaywright(recordingOf([
+    { type: 'click', element: comments },
+    { type: 'input', element: { ...comments, label: null }, value: 'Typed into the field' },
+    { type: 'input', element: password, value: 'hunter2' }
+  ]));
+
+  assert.match(script, /page\.getByRole\('textbox', \{ name: 'Comments' \}\)\.click\(\);/);
+  assert.match(script, /page\.locator\('#comments'\)\.fill\('Typed into the field'\);/);
+  assert.match(script, /page\.getByLabel\('Password'\)\.fill\('hunter2'\);/);
+});
+
+test('each exporter skips steps without a recorded element', () => {
+  const { generatePlaywright, generateCypress, generatePuppeteer } = loadExporters();
+  const recording = recordingOf([
+    { type: 'click' },
+    { type: 'input', value: 'jane' }
+  ]);
+
+  for (const generate of [generatePlaywright, generateCypress, generatePuppeteer]) {
+    const script = generate(recording);
+    assert.match(script, /\/\/ click skipped: no element was recorded for it/);
+    assert.match(script, /\/\/ input skipped: no element was recorded for it/);
+    assert.doesNotMatch(script, /null/);
+  }
+  assertParses(generateCypress(recording));
+  assertParses(generatePuppeteer(recording));
+});
+
+test('Cypress only types a masked value that was provided', () => {
+  const { generateCypress } = loadExporters();
+  const script = generateCypress(recordingOf([{ type: 'input', element: password, value: '********' }]));
+
+  assertParses(script);
+  assert.match(script, /cy\.get\('#password'\)\.clear\(\);\n\s+if \(PASSWORD\) cy\.get\('#password'\)\.type\(PASSWORD, \{ log: false \}\);/);
+});
+
+test('Cypress clicks with the held modifiers', () => {
+  const { generateCypress } = loadExporters();
+  const script = generateCypress(recordingOf([{ type: 'click', element: draft, modifiers: { shift: true, ctrl: true } }]));
+
+  assert.match(script, /\.click\(\{ ctrlKey: true, shiftKey: true \}\);/);
+});
+
+test('Puppeteer quotes ARIA names', () => {
+  const { generatePuppeteer } = loadExporters();
+  const script = generatePuppeteer(recordingOf([{ type: 'click', element: draft }]));
+
+  assertParses(script);
+  assert.match(script, /page\.locator\('::-p-aria\("Save \\\\"draft\\\\" \(now\)"\)'\)\.click\(\);/);
+});
\ No newline at end of file
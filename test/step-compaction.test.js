@@ -0,0 +1,89 @@
+// Runs step compaction the way the service worker loads it.
+// Run with: node --test test/
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadCompaction() {
+  const context = vm.createContext({ console });
+  for (const file of ['script-exporters.js', 'step-compaction.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+  }
+  return context;
+}
+
+function actionsOf(events) {
+  return events.map((event, index) => ({ id: `a${index + 1}`, tab: 0, timestamp: (index + 1) * 100, ...event }));
+}
+
+// Steps as plain objects, so they compare across the vm boundary
+function compact(events, options) {
+  const { compactSteps } = loadCompaction();
+  return JSON.parse(JSON.stringify(compactSteps(actionsOf(events), options)));
+}
+
+const email = { selector: '#email', tag: 'INPUT', label: 'Email', attributes: { type: 'email' } };
+const password = { selector: '#password', tag: 'INPUT', label: 'Password', attributes: { type: 'password' } };
+const signIn = { selector: '#sign-in', tag: 'BUTTON', text: 'Sign in', attributes: { type: 'submit' } };
+const form = { selector: 'form', tag: 'FORM', attributes: { id: 'login' } };
+
+test('fills a field with its focus, click, typing, blur and Tab', () => {
+  const steps = compact([
+    { type: 'focus', element: email },
+    { type: 'click', element: email },
+    { type: 'input', element: email, value: 'jane@example.com' },
+    { type: 'keypress', key: 'Tab', element: email },
+    { type: 'blur', element: email },
+    { type: 'focus', element: password },
+    { type: 'input', element: password, value: '********' }
+  ]);
+
+  assert.deepStrictEqual(steps, [
+    { type: 'fill', description: 'Fill "Email" with "jane@example.com"', actionId: 'a3', actionIds: ['a1', 'a2', 'a3', 'a4', 'a5'] },
+    { type: 'fill', description: 'Fill "Password" with "********"', actionId: 'a7', actionIds: ['a6', 'a7'] }
+  ]);
+});
+
+test('typing again after leaving a field is a new step', () => {
+  const steps = compact([
+    { type: 'input', element: email, value: 'jane' },
+    { type: 'blur', element: email },
+    { type: 'input', element: email, value: 'jane@example.com' }
+  ]);
+
+  assert.deepStrictEqual(steps.map(step => step.actionIds), [['a1', 'a2'], ['a3']]);
+});
+
+test('joins the click that submitted a form to the submit', () => {
+  const steps = compact([
+    { type: 'click', element: signIn },
+    { type: 'submit', element: form }
+  ]);
+
+  assert.deepStrictEqual(steps, [
+    { type: 'submit', description: 'Submit the "login" form', actionId: 'a2', actionIds: ['a1', 'a2'] }
+  ]);
+});
+
+test('keeps a submit long after the click as its own step', () => {
+  const context = loadCompaction();
+  const actions = actionsOf([
+    { type: 'click', element: signIn },
+    { type: 'submit', element: form }
+  ]);
+  actions[1].timestamp = actions[0].timestamp + vm.runInContext('SUBMIT_CAUSE_WINDOW', context) + 1;
+
+  assert.strictEqual(context.compactSteps(actions).length, 2);
+});
+
+test('keeps trailing focus as a step only while recording', () => {
+  const events = [
+    { type: 'input', element: email, value: 'jane@example.com' },
+    { type: 'focus', element: password }
+  ];
+
+  assert.deepStrictEqual(compact(events).map(step => step.actionIds), [['a1', 'a2']]);
+  assert.deepStrictEqual(compact(events, { inProgress: true }).map(step => step.actionIds), [['a1'], ['a2']]);
+});
\ No newline at end of file